@@ -0,0 +1,243 @@
+import path from 'path';
+import puppeteer from 'puppeteer';
+
+/**
+ * Navigateur partagé (Puppeteer) pour l'enrichissement et les scrapers qui ont besoin du rendu JS.
+ *
+ * Un seul navigateur est lancé, à la première utilisation, et ses pages sont réparties par un pool :
+ * `withPage(task)` prête une page le temps d'une tâche, sans dépasser `poolSize` pages en parallèle.
+ * Une page est recyclée (fermée puis recréée) après `maxNavigations` navigations, si son onglet plante
+ * ou si une tâche dépasse `taskTimeoutMs` : un onglet bloqué ne compromet pas la suite du run. Un
+ * navigateur planté est relancé à la tâche suivante.
+ */
+
+const DEFAULT_SETTINGS = {
+    poolSize: 2, // Nombre maximum de pages utilisées en parallèle
+    maxNavigations: 50, // Une page est recréée après ce nombre de navigations (fuites mémoire des sites)
+    blockResources: ['image', 'font', 'media'], // Types de requêtes bloqués (voir `HTTPRequest.resourceType()`)
+    navigationTimeoutMs: 30000, // Délai par défaut de `page.goto`, `waitForNavigation`...
+    timeoutMs: 30000, // Délai par défaut de `waitForSelector`, `waitForResponse`...
+    taskTimeoutMs: 120000, // Durée maximale d'une tâche `withPage` avant de fermer la page
+    isolate: false, // Un contexte de navigation (cookies, cache) propre à chaque page
+    headless: true,
+    executablePath: undefined, // Chrome à utiliser (défaut : celui téléchargé par Puppeteer)
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 }
+};
+
+// Messages de Puppeteer quand l'onglet ou le navigateur a disparu pendant une opération.
+const CRASH_PATTERN = /target closed|session closed|page crashed|connection closed|detached frame|frame was detached/i;
+
+/**
+ * Onglet planté ou tâche bloquée au-delà de `taskTimeoutMs`. L'erreur est passagère (voir `isTransientError`) :
+ * l'élément concerné est à retraiter au prochain run.
+ */
+export class BrowserPageError extends Error {
+    constructor(message, cause) {
+        super(message, { cause });
+        this.name = 'BrowserPageError';
+        this.transient = true;
+    }
+}
+
+const definedOptions = (options) => Object.fromEntries(Object.entries(options ?? {}).filter(([, value]) => value !== undefined));
+
+/**
+ * Crée un pool de pages sur un navigateur lancé à la demande.
+ * @param {object} [options={}] - Voir `DEFAULT_SETTINGS`.
+ * @returns {{withPage: Function, close: Function}}
+ */
+export function createBrowserPool(options = {}) {
+    const config = { ...DEFAULT_SETTINGS, ...definedOptions(options) };
+    let browser = null;
+    let launching = null;
+    let openPages = 0; // Pages ouvertes, libres ou prêtées
+    const idle = [];
+    const waiting = [];
+    let closed = false;
+
+    // Lance le navigateur à la première tâche, et à nouveau s'il a planté entre-temps.
+    async function getBrowser() {
+        if (browser?.connected) return browser;
+        launching ??= puppeteer.launch({
+            // Dossier de cache stable pour éviter les problèmes de pare-feu à chaque mise à jour.
+            cacheDirectory: path.join(process.cwd(), '.puppeteer_cache'),
+            headless: config.headless,
+            executablePath: config.executablePath,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        }).finally(() => { launching = null; });
+        browser = await launching;
+        return browser;
+    }
+
+    async function openPage() {
+        const owner = await getBrowser();
+        const context = config.isolate ? await owner.createBrowserContext() : null;
+        const page = await (context ?? owner).newPage();
+        const slot = { browser: owner, context, page, navigations: 0, broken: false };
+
+        page.setDefaultNavigationTimeout(config.navigationTimeoutMs);
+        page.setDefaultTimeout(config.timeoutMs);
+        await page.setViewport(config.viewport);
+        await page.setUserAgent(config.userAgent);
+        if (config.blockResources.length > 0) {
+            await page.setRequestInterception(true);
+            page.on('request', request => {
+                if (request.isInterceptResolutionHandled()) return;
+                if (config.blockResources.includes(request.resourceType())) {
+                    request.abort().catch(() => {});
+                } else {
+                    request.continue().catch(() => {});
+                }
+            });
+        }
+        page.on('framenavigated', frame => {
+            if (frame === page.mainFrame()) slot.navigations++;
+        });
+        page.on('error', () => { slot.broken = true; }); // Onglet planté
+        page.on('close', () => { slot.broken = true; });
+        return slot;
+    }
+
+    async function closePage(slot) {
+        openPages--;
+        slot.broken = true;
+        await (slot.context ?? slot.page).close().catch(() => {});
+    }
+
+    const isUsable = (slot) => !slot.broken && slot.browser.connected && slot.navigations < config.maxNavigations;
+
+    async function acquire() {
+        while (!closed) {
+            const slot = idle.pop();
+            if (slot) {
+                if (isUsable(slot)) return slot;
+                await closePage(slot);
+                continue;
+            }
+            if (openPages < config.poolSize) {
+                openPages++;
+                try {
+                    return await openPage();
+                } catch (error) {
+                    openPages--;
+                    waiting.shift()?.();
+                    throw error;
+                }
+            }
+            // Toutes les pages sont prêtées : on attend qu'une tâche se termine.
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        throw new Error("Le pool de navigateurs est fermé.");
+    }
+
+    async function release(slot, recycle) {
+        if (recycle || closed || !isUsable(slot)) {
+            await closePage(slot);
+        } else {
+            idle.push(slot);
+        }
+        waiting.shift()?.();
+    }
+
+    return {
+        /**
+         * Exécute une tâche avec une page du pool, puis la rend au pool.
+         * Si l'onglet plante ou si la tâche dépasse `taskTimeoutMs`, la page est fermée et une
+         * `BrowserPageError` est levée ; les autres erreurs de la tâche sont propagées telles quelles.
+         * @param {function(import('puppeteer').Page): Promise<any>} task
+         * @param {object} [options={}]
+         * @param {number} [options.timeoutMs] - Durée maximale de cette tâche (défaut : `taskTimeoutMs`, `0` : sans limite).
+         * @returns {Promise<any>} - Le résultat de la tâche.
+         */
+        async withPage(task, options = {}) {
+            const slot = await acquire();
+            const taskTimeoutMs = options.timeoutMs ?? config.taskTimeoutMs;
+            let recycle = false;
+            let timer;
+            // La tâche continue en arrière-plan après un timeout : son échec (page fermée) est ignoré.
+            const running = Promise.resolve().then(() => task(slot.page));
+            running.catch(() => {});
+            const timeout = new Promise((resolve, reject) => {
+                if (taskTimeoutMs <= 0) return;
+                timer = setTimeout(() => reject(new BrowserPageError(`Tâche navigateur interrompue après ${taskTimeoutMs} ms.`)), taskTimeoutMs);
+            });
+
+            try {
+                return await Promise.race([running, timeout]);
+            } catch (error) {
+                if (error instanceof BrowserPageError) {
+                    recycle = true;
+                    throw error;
+                }
+                if (slot.broken || CRASH_PATTERN.test(error?.message ?? '')) {
+                    recycle = true;
+                    throw new BrowserPageError(`Onglet du navigateur planté : ${error.message}`, error);
+                }
+                throw error;
+            } finally {
+                clearTimeout(timer);
+                await release(slot, recycle);
+            }
+        },
+
+        /**
+         * Ferme toutes les pages et le navigateur. Les tâches en attente d'une page échouent.
+         */
+        async close() {
+            closed = true;
+            waiting.splice(0).forEach(resolve => resolve());
+            const current = browser ?? await launching?.catch(() => null);
+            browser = null;
+            idle.length = 0;
+            openPages = 0;
+            await current?.close();
+        }
+    };
+}
+
+let settings = { ...DEFAULT_SETTINGS };
+let sharedPool = null;
+
+/**
+ * Modifie les réglages du navigateur partagé (ex: depuis `config.browser` du scraper).
+ * Ils s'appliquent au prochain lancement : un pool déjà ouvert est fermé.
+ * @param {object} [options={}] - Voir `DEFAULT_SETTINGS`.
+ */
+export async function configureBrowser(options = {}) {
+    settings = { ...DEFAULT_SETTINGS, ...definedOptions(options) };
+    await closeBrowserPool();
+}
+
+/**
+ * @returns {object} - Les réglages du navigateur partagé (ex: `poolSize` pour dimensionner un traitement parallèle).
+ */
+export function getBrowserSettings() {
+    return { ...settings };
+}
+
+/**
+ * @returns {{withPage: Function, close: Function}} - Le pool partagé (le navigateur n'est lancé qu'à la première tâche).
+ */
+export function getBrowserPool() {
+    if (!sharedPool) sharedPool = createBrowserPool(settings);
+    return sharedPool;
+}
+
+/**
+ * Raccourci : exécute une tâche avec une page du pool partagé (voir `createBrowserPool().withPage`).
+ * @param {function(import('puppeteer').Page): Promise<any>} task
+ * @param {{timeoutMs?: number}} [options={}]
+ */
+export function withPage(task, options = {}) {
+    return getBrowserPool().withPage(task, options);
+}
+
+/**
+ * Ferme le navigateur partagé s'il a été lancé (en fin de commande).
+ */
+export async function closeBrowserPool() {
+    const pool = sharedPool;
+    sharedPool = null;
+    await pool?.close();
+}
@@ -0,0 +1,204 @@
+import * as cheerio from 'cheerio';
+import { withPage } from './browser.js';
+
+/**
+ * Mode navigateur des scrapers, pour les annuaires rendus en JavaScript (listes chargées au défilement,
+ * bouton "Voir plus", données reçues en XHR).
+ *
+ * Un scraper qui déclare `config.mode: 'browser'` reçoit, en plus de ses arguments habituels, un contexte
+ * de navigation : `getList(isTestMode, browser)` et `getDetails(lien, browser)`. La page vient du pool
+ * partagé (voir `browser.js`) et lui est rendue à la fin de l'appel ; le pipeline, la reprise et le
+ * rafraîchissement fonctionnent comme pour un scraper HTTP.
+ */
+
+export const BROWSER_MODE = 'browser';
+
+const DEFAULT_LIST_TIMEOUT_MS = 30 * 60 * 1000; // getList parcourt tout l'annuaire : bien plus long qu'une fiche
+const DEFAULT_MAX_STEPS = 100; // Garde-fou contre un défilement ou un bouton "Voir plus" sans fin
+const DEFAULT_IDLE_MS = 3000; // Attente maximale de nouveaux éléments après un défilement ou un clic
+
+/**
+ * @param {object} scraper - Le module scraper chargé.
+ * @returns {boolean} - true si le scraper demande une page de navigateur.
+ */
+export function isBrowserScraper(scraper) {
+    return scraper?.config?.mode === BROWSER_MODE;
+}
+
+/**
+ * Crée le contexte de navigation passé au scraper autour d'une page Puppeteer.
+ * @param {import('puppeteer').Page} page - La page prêtée par le pool.
+ * @returns {object} - `page` et les aides `load`, `document`, `waitFor`, `scrollUntilStable`,
+ *   `clickUntilDone`, `captureJson`, ainsi que `dispose` (appelé par le pipeline en fin d'appel).
+ */
+export function createScrapingContext(page) {
+    const captures = new Set();
+
+    // Taille de la liste : nombre d'éléments `itemSelector`, sinon hauteur de la page.
+    const measure = (itemSelector) => page.evaluate(
+        (selector) => (selector ? document.querySelectorAll(selector).length : document.body.scrollHeight),
+        itemSelector ?? null
+    );
+
+    // Attend que la liste grandisse ; false si rien n'est arrivé dans le délai.
+    const waitForGrowth = (itemSelector, before, idleMs) => page.waitForFunction(
+        (selector, count) => (selector ? document.querySelectorAll(selector).length : document.body.scrollHeight) > count,
+        { timeout: idleMs },
+        itemSelector ?? null,
+        before
+    ).then(() => true, () => false);
+
+    const context = {
+        page,
+
+        /**
+         * Charge une URL et renvoie le document rendu.
+         * @param {string} url
+         * @param {object} [options={}]
+         * @param {string} [options.waitFor] - Sélecteur à attendre avant de lire la page.
+         * @param {string} [options.waitUntil='networkidle2'] - Voir `page.goto`.
+         * @returns {Promise<import('cheerio').CheerioAPI>}
+         */
+        async load(url, { waitFor, waitUntil = 'networkidle2' } = {}) {
+            await page.goto(url, { waitUntil });
+            if (waitFor) await page.waitForSelector(waitFor);
+            return context.document();
+        },
+
+        /**
+         * @returns {Promise<import('cheerio').CheerioAPI>} - Le DOM actuel de la page, pour l'extraire comme en HTTP.
+         */
+        async document() {
+            return cheerio.load(await page.content());
+        },
+
+        /**
+         * Attend qu'un élément soit présent dans la page.
+         * @param {string} selector
+         * @param {object} [options] - Voir `page.waitForSelector` (`visible`, `timeout`...).
+         */
+        waitFor(selector, options) {
+            return page.waitForSelector(selector, options);
+        },
+
+        /**
+         * Fait défiler la page jusqu'en bas tant que de nouveaux éléments apparaissent (défilement infini).
+         * @param {object} [options={}]
+         * @param {string} [options.itemSelector] - Éléments de la liste (défaut : hauteur de la page).
+         * @param {number} [options.maxScrolls=100] - Nombre maximum de défilements.
+         * @param {number} [options.maxItems] - Arrête dès que ce nombre d'éléments est atteint (ex: mode test).
+         * @param {number} [options.idleMs=3000] - Attente de nouveaux éléments avant de considérer la liste complète.
+         * @returns {Promise<number>} - Le nombre d'éléments (ou la hauteur) final.
+         */
+        async scrollUntilStable({ itemSelector, maxScrolls = DEFAULT_MAX_STEPS, maxItems, idleMs = DEFAULT_IDLE_MS } = {}) {
+            let size = await measure(itemSelector);
+            for (let scroll = 0; scroll < maxScrolls; scroll++) {
+                if (maxItems && itemSelector && size >= maxItems) break;
+                await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+                if (!await waitForGrowth(itemSelector, size, idleMs)) break;
+                size = await measure(itemSelector);
+            }
+            return size;
+        },
+
+        /**
+         * Clique sur un bouton "Voir plus" tant qu'il est visible et qu'il charge de nouveaux éléments.
+         * @param {string} buttonSelector - Le bouton à cliquer.
+         * @param {object} [options={}] - `itemSelector`, `maxClicks` (défaut : 100), `maxItems`, `idleMs` (voir `scrollUntilStable`).
+         * @returns {Promise<number>} - Le nombre de clics effectués.
+         */
+        async clickUntilDone(buttonSelector, { itemSelector, maxClicks = DEFAULT_MAX_STEPS, maxItems, idleMs = DEFAULT_IDLE_MS } = {}) {
+            let clicks = 0;
+            while (clicks < maxClicks) {
+                const size = await measure(itemSelector);
+                if (maxItems && itemSelector && size >= maxItems) break;
+                const button = await page.$(buttonSelector);
+                if (!button || !await button.isVisible()) break;
+                await button.click();
+                clicks++;
+                if (!await waitForGrowth(itemSelector, size, idleMs)) break;
+            }
+            return clicks;
+        },
+
+        /**
+         * Enregistre les réponses JSON des requêtes XHR/fetch dont l'URL correspond au motif. À lancer
+         * avant la navigation ou le défilement qui déclenche les appels.
+         * @param {string|RegExp} urlPattern - Partie de l'URL, ou expression régulière.
+         * @returns {{responses: Array<{url: string, data: any}>, stop: function(): Promise<Array>}} - Les réponses
+         *   reçues au fil de l'eau ; `stop()` arrête la capture et attend les réponses en cours de lecture.
+         */
+        captureJson(urlPattern) {
+            const matches = typeof urlPattern === 'string' ? url => url.includes(urlPattern) : url => urlPattern.test(url);
+            const responses = [];
+            const pending = new Set();
+            const onResponse = (response) => {
+                if (!['xhr', 'fetch'].includes(response.request().resourceType()) || !matches(response.url())) return;
+                // Une réponse qui n'est pas du JSON (erreur HTML, corps vide) est ignorée.
+                const reading = response.json()
+                    .then(data => { responses.push({ url: response.url(), data }); }, () => {})
+                    .finally(() => pending.delete(reading));
+                pending.add(reading);
+            };
+            page.on('response', onResponse);
+
+            const capture = {
+                responses,
+                async stop() {
+                    page.off('response', onResponse);
+                    captures.delete(capture);
+                    await Promise.all(pending);
+                    return responses;
+                }
+            };
+            captures.add(capture);
+            return capture;
+        },
+
+        /**
+         * Arrête les captures oubliées : la page retourne au pool sans écouteur du scraper.
+         */
+        async dispose() {
+            await Promise.all([...captures].map(capture => capture.stop()));
+        }
+    };
+    return context;
+}
+
+/**
+ * Appelle une fonction du scraper avec un contexte de navigation si le scraper est en mode navigateur,
+ * sans contexte sinon.
+ */
+function callScraper(scraper, call, timeoutMs) {
+    if (!isBrowserScraper(scraper)) return call(undefined);
+    return withPage(async (page) => {
+        const context = createScrapingContext(page);
+        try {
+            return await call(context);
+        } finally {
+            await context.dispose();
+        }
+    }, { timeoutMs });
+}
+
+/**
+ * Lance `scraper.getList`, avec une page de navigateur en mode navigateur.
+ * Durée maximale : `config.browser.listTimeoutMs` (défaut : 30 min, `0` : sans limite).
+ * @param {object} scraper - Le module scraper chargé.
+ * @param {boolean} isTestMode
+ * @returns {Promise<Array<{nom: string, lien: string}>>}
+ */
+export function fetchList(scraper, isTestMode) {
+    const timeoutMs = scraper.config?.browser?.listTimeoutMs ?? DEFAULT_LIST_TIMEOUT_MS;
+    return callScraper(scraper, browser => scraper.getList(isTestMode, browser), timeoutMs);
+}
+
+/**
+ * Lance `scraper.getDetails`, avec une page de navigateur en mode navigateur (durée maximale : `taskTimeoutMs`).
+ * @param {object} scraper - Le module scraper chargé.
+ * @param {string} lien
+ * @returns {Promise<object>}
+ */
+export function fetchDetails(scraper, lien) {
+    return callScraper(scraper, browser => scraper.getDetails(lien, browser));
+}
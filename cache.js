@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+
+/**
+ * Cache persistant des réponses d'API (SIRENE, geo.api.gouv.fr...), pour ne pas refaire les mêmes
+ * requêtes d'un run à l'autre. Chaque entrée est un fichier `data/cache/<endpoint>/<hash>.json`,
+ * valable pendant la durée (TTL) propre à son endpoint. Seules les réponses réussies sont mises en cache.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Durée de validité par endpoint. Un endpoint absent utilise `default`.
+const DEFAULT_TTLS = {
+    sirene: 7 * DAY, // Les données SIRENE (CA, effectifs, dirigeants) évoluent peu d'une semaine à l'autre
+    geo: 90 * DAY, // Le découpage administratif ne change presque jamais
+    default: DAY
+};
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    refresh: false, // Ignore les entrées existantes mais enregistre les nouvelles réponses
+    dir: null // Par défaut : data/cache dans le dossier courant
+};
+
+let settings = { ...DEFAULT_SETTINGS, ttlMs: { ...DEFAULT_TTLS } };
+
+// Statistiques du process en cours, par endpoint : { hits, misses }.
+const stats = new Map();
+
+/**
+ * Modifie le comportement du cache (ex: depuis la CLI ou la config du scraper).
+ * @param {object} [options={}]
+ * @param {boolean} [options.enabled=true] - `false` désactive complètement le cache (`--no-cache`).
+ * @param {boolean} [options.refresh=false] - Ignore les entrées existantes et les remplace (`--refresh-cache`).
+ * @param {object} [options.ttlMs] - Durées de validité par endpoint, en ms (ex: `{ sirene: 86400000 }`).
+ * @param {string} [options.dir] - Dossier du cache.
+ */
+export function configureCache(options = {}) {
+    const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    settings = { ...DEFAULT_SETTINGS, ...defined, ttlMs: { ...DEFAULT_TTLS, ...options.ttlMs } };
+}
+
+function cacheDir() {
+    return settings.dir ? path.resolve(process.cwd(), settings.dir) : path.join(process.cwd(), 'data', 'cache');
+}
+
+function entryPath(endpoint, key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(cacheDir(), endpoint, `${hash}.json`);
+}
+
+function count(endpoint, field) {
+    const entry = stats.get(endpoint) ?? { hits: 0, misses: 0 };
+    entry[field]++;
+    stats.set(endpoint, entry);
+}
+
+async function readEntry(filePath, ttl) {
+    try {
+        const entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        return Date.now() - entry.storedAt <= ttl ? entry : null;
+    } catch (error) {
+        // Entrée absente ou illisible : on refait simplement la requête.
+        return null;
+    }
+}
+
+async function writeEntry(filePath, entry) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entry), 'utf-8');
+    await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Renvoie la valeur en cache pour `key` si elle est encore valide, sinon appelle `producer` et
+ * enregistre son résultat. Une erreur de `producer` est propagée et rien n'est enregistré.
+ * @param {string} endpoint - Le nom de l'endpoint (détermine le TTL et le sous-dossier, ex: 'sirene').
+ * @param {string} key - La clé de l'entrée (ex: l'URL appelée).
+ * @param {Function} producer - `async () => value`, appelée en cas d'absence ou d'expiration.
+ * @returns {Promise<any>}
+ */
+export async function cached(endpoint, key, producer) {
+    if (!settings.enabled) return producer();
+
+    const filePath = entryPath(endpoint, key);
+    const ttl = settings.ttlMs[endpoint] ?? settings.ttlMs.default;
+    const entry = settings.refresh ? null : await readEntry(filePath, ttl);
+    if (entry) {
+        count(endpoint, 'hits');
+        return entry.value;
+    }
+
+    count(endpoint, 'misses');
+    const value = await producer();
+    try {
+        await writeEntry(filePath, { key, storedAt: Date.now(), value });
+    } catch (error) {
+        // Un cache inutilisable (disque plein, droits...) ne doit pas faire échouer l'enrichissement.
+        console.error(chalk.yellow(`⚠️ Impossible d'écrire dans le cache (${filePath}) : ${error.message}`));
+    }
+    return value;
+}
+
+/**
+ * Statistiques d'utilisation du cache depuis le début du process.
+ * @returns {Object<string, {hits: number, misses: number}>}
+ */
+export function getCacheStats() {
+    return Object.fromEntries([...stats].map(([endpoint, entry]) => [endpoint, { ...entry }]));
+}
+
+/**
+ * Affiche le taux de succès du cache par endpoint (ex: "sirene : 120/150 (80 %)").
+ */
+export function printCacheStats() {
+    if (!settings.enabled || stats.size === 0) return;
+    const parts = [...stats].map(([endpoint, { hits, misses }]) => {
+        const total = hits + misses;
+        return `${endpoint} : ${hits}/${total} (${Math.round((hits / total) * 100)} %)`;
+    });
+    console.log(chalk.gray(`-> Cache${settings.refresh ? ' (rafraîchi)' : ''} : ${parts.join(', ')}`));
+}
@@ -1,106 +1,49 @@
-const ROLES_A_EXCLURE = [
-  'Membre du directoire',
-  'Autre',
-  'Membre du conseil de surveillance',
-  'Administrateur',
-  'Commissaire aux comptes suppléant',
-  'Commissaire aux comptes titulaire',
-  'Contrôleur de gestion',
-  'Liquidateur',
-  "Personne ayant le pouvoir d'engager à titre habituel la société",
-  "Président du conseil de surveillance",
-  "Président du directoire"
+// Taxonomie des fonctions (dirigeants SIRENE et contacts scrapés) : libellé, niveau hiérarchique
+// (1 = le plus élevé) et exclusion par défaut des dirigeants SIRENE (mandats sans rôle opérationnel).
+const ROLES = {
+  direction_generale: { libelle: "Direction générale", niveau: 1, exclu: false },
+  direction_fonctionnelle: { libelle: "Direction fonctionnelle", niveau: 2, exclu: false },
+  encadrement: { libelle: "Encadrement", niveau: 3, exclu: false },
+  gouvernance: { libelle: "Gouvernance (conseil, directoire)", niveau: 4, exclu: true },
+  controle: { libelle: "Contrôle et liquidation", niveau: 5, exclu: true },
+  mandat_autre: { libelle: "Autre mandat", niveau: 5, exclu: true },
+  autre: { libelle: "Autre", niveau: 6, exclu: false }
+};
+
+// Fonction → rôle, motifs testés dans l'ordre sur la fonction en minuscules et sans accents.
+// Une fonction qui ne correspond à aucun motif (ou vide) est classée "autre".
+const ROLE_PATTERNS = [
+  ['mandat_autre', /^autre$|pouvoir d'engager/],
+  ['controle', /commissaire aux comptes|liquidateur|controleur de gestion|administrateur judiciaire|mandataire judiciaire/],
+  ['gouvernance', /conseil de surveillance|directoire|administrateur|membre du conseil/],
+  ['direction_generale', /president|directeur general|directrice generale|\bp?dg\b|gerant|\bceo\b|chef d'entreprise|fondat|founder|managing director/],
+  ['direction_fonctionnelle', /directeur|directrice|director|\bd(af|rh|si)\b|\bc[a-z]o\b|chief/],
+  ['encadrement', /responsable|manager|\bchef\b|head of|\blead\b/]
 ];
 
-const DIVISION_ACTIVITE_PRINCIPALE = {
-  '01': "Culture et production animale, chasse et services annexes",
-  '02': "Sylviculture et exploitation forestière",
-  '03': "Pêche et aquaculture",
-  '05': "Extraction de houille et de lignite",
-  '06': "Extraction d'hydrocarbures",
-  '07': "Extraction de minerais métalliques",
-  '08': "Autres industries extractives",
-  '09': "Services de soutien aux industries extractives",
-  '10': "Industries alimentaires",
-  '11': "Fabrication de boissons",
-  '12': "Fabrication de produits à base de tabac",
-  '13': "Fabrication de textiles",
-  '14': "Industrie de l'habillement",
-  '15': "Industrie du cuir et de la chaussure",
-  '16': "Travail du bois et fabrication d'articles en bois et en liège, à l'exception des meubles, fabrication d'articles en vannerie et sparterie",
-  '17': "Industrie du papier et du carton",
-  '18': "Imprimerie et reproduction d'enregistrements",
-  '19': "Cokéfaction et raffinage",
-  '20': "Industrie chimique",
-  '21': "Industrie pharmaceutique",
-  '22': "Fabrication de produits en caoutchouc et en plastique",
-  '23': "Fabrication d'autres produits minéraux non métalliques",
-  '24': "Métallurgie",
-  '25': "Fabrication de produits métalliques, à l'exception des machines et des équipements",
-  '26': "Fabrication de produits informatiques, électroniques et optiques",
-  '27': "Fabrication d'équipements électriques",
-  '28': "Fabrication de machines et équipements n.c.a.",
-  '29': "Industrie automobile",
-  '30': "Fabrication d'autres matériels de transport",
-  '31': "Fabrication de meubles",
-  '32': "Autres industries manufacturières",
-  '33': "Réparation et installation de machines et d'équipements",
-  '35': "Production et distribution d'électricité, de gaz, de vapeur et d'air conditionné",
-  '36': "Captage, traitement et distribution d'eau",
-  '37': "Collecte et traitement des eaux usées",
-  '38': "Collecte, traitement et élimination des déchets, récupération",
-  '39': "Dépollution et autres services de gestion des déchets",
-  '41': "Construction de bâtiments",
-  '42': "Génie civil",
-  '43': "Travaux de construction spécialisés",
-  '45': "Commerce et réparation d'automobiles et de motocycles",
-  '46': "Commerce de gros, à l'exception des automobiles et des motocycles",
-  '47': "Commerce de détail, à l'exception des automobiles et des motocycles",
-  '49': "Transports terrestres et transport par conduites",
-  '50': "Transports par eau",
-  '51': "Transports aériens",
-  '52': "Entreposage et services auxiliaires des transports",
-  '53': "Activités de poste et de courrier",
-  '55': "Hébergement",
-  '56': "Restauration",
-  '58': "Édition",
-  '59': "Production de films cinématographiques, de vidéo et de programmes de télévision, enregistrement sonore et édition musicale",
-  '60': "Programmation et diffusion",
-  '61': "Télécommunications",
-  '62': "Programmation, conseil et autres activités informatiques",
-  '63': "Services d'information",
-  '64': "Activités des services financiers, hors assurance et caisses de retraite",
-  '65': "Assurance",
-  '66': "Activités auxiliaires de services financiers et d'assurance",
-  '68': "Activités immobilières",
-  '69': "Activités juridiques et comptables",
-  '70': "Activités des sièges sociaux, conseil de gestion",
-  '71': "Activités d'architecture et d'ingénierie, activités de contrôle et analyses techniques",
-  '72': "Recherche-développement scientifique",
-  '73': "Publicité et études de marché",
-  '74': "Autres activités spécialisées, scientifiques et techniques",
-  '75': "Activités vétérinaires",
-  '77': "Activités de location et location-bail",
-  '78': "Activités liées à l'emploi",
-  '79': "Activités des agences de voyage, voyagistes, services de réservation et activités connexes",
-  '80': "Enquêtes et sécurité",
-  '81': "Services relatifs aux bâtiments et aménagement paysager",
-  '82': "Activités administratives et autres activités de soutien aux entreprises",
-  '84': "Administration publique et défense, sécurité sociale obligatoire",
-  '85': "Enseignement",
-  '86': "Activités pour la santé humaine",
-  '87': "Hébergement médico-social et social",
-  '88': "Action sociale sans hébergement",
-  '90': "Activités créatives, artistiques et de spectacle",
-  '91': "Bibliothèques, archives, musées et autres activités culturelles",
-  '92': "Organisation de jeux de hasard et d'argent",
-  '93': "Activités sportives, récréatives et de loisirs",
-  '94': "Activités des organisations associatives",
-  '95': "Réparation d'ordinateurs et de biens personnels et domestiques",
-  '96': "Autres services personnels",
-  '97': "Activités des ménages en tant qu'employeurs de personnel domestique",
-  '98': "Activités indifférenciées des ménages en tant que producteurs de biens et services pour usage propre",
-  '99': "Activités des organisations et organismes extraterritoriaux"
+// Sections de la NAF rév. 2 : libellé et première/dernière division (les autres niveaux viennent de @socialgouv/codes-naf)
+const SECTIONS_NAF = {
+  'A': { libelle: "Agriculture, sylviculture et pêche", divisions: ['01', '03'] },
+  'B': { libelle: "Industries extractives", divisions: ['05', '09'] },
+  'C': { libelle: "Industrie manufacturière", divisions: ['10', '33'] },
+  'D': { libelle: "Production et distribution d'électricité, de gaz, de vapeur et d'air conditionné", divisions: ['35', '35'] },
+  'E': { libelle: "Production et distribution d'eau ; assainissement, gestion des déchets et dépollution", divisions: ['36', '39'] },
+  'F': { libelle: "Construction", divisions: ['41', '43'] },
+  'G': { libelle: "Commerce ; réparation d'automobiles et de motocycles", divisions: ['45', '47'] },
+  'H': { libelle: "Transports et entreposage", divisions: ['49', '53'] },
+  'I': { libelle: "Hébergement et restauration", divisions: ['55', '56'] },
+  'J': { libelle: "Information et communication", divisions: ['58', '63'] },
+  'K': { libelle: "Activités financières et d'assurance", divisions: ['64', '66'] },
+  'L': { libelle: "Activités immobilières", divisions: ['68', '68'] },
+  'M': { libelle: "Activités spécialisées, scientifiques et techniques", divisions: ['69', '75'] },
+  'N': { libelle: "Activités de services administratifs et de soutien", divisions: ['77', '82'] },
+  'O': { libelle: "Administration publique", divisions: ['84', '84'] },
+  'P': { libelle: "Enseignement", divisions: ['85', '85'] },
+  'Q': { libelle: "Santé humaine et action sociale", divisions: ['86', '88'] },
+  'R': { libelle: "Arts, spectacles et activités récréatives", divisions: ['90', '93'] },
+  'S': { libelle: "Autres activités de services", divisions: ['94', '96'] },
+  'T': { libelle: "Activités des ménages en tant qu'employeurs ; activités indifférenciées des ménages en tant que producteurs de biens et services pour usage propre", divisions: ['97', '98'] },
+  'U': { libelle: "Activités extra-territoriales", divisions: ['99', '99'] }
 };
 
 const TRANCHES_EFFECTIFS = {
@@ -123,4 +66,193 @@ const TRANCHES_EFFECTIFS = {
   'null': 'donnée manquante ou "sans objet"'
 };
 
-export default { ROLES_A_EXCLURE, DIVISION_ACTIVITE_PRINCIPALE, TRANCHES_EFFECTIFS };
\ No newline at end of file
+// Régions (code INSEE → nom), comme renvoyées par geo.api.gouv.fr/regions
+const REGIONS = {
+  '01': "Guadeloupe",
+  '02': "Martinique",
+  '03': "Guyane",
+  '04': "La Réunion",
+  '06': "Mayotte",
+  '11': "Île-de-France",
+  '24': "Centre-Val de Loire",
+  '27': "Bourgogne-Franche-Comté",
+  '28': "Normandie",
+  '32': "Hauts-de-France",
+  '44': "Grand Est",
+  '52': "Pays de la Loire",
+  '53': "Bretagne",
+  '75': "Nouvelle-Aquitaine",
+  '76': "Occitanie",
+  '84': "Auvergne-Rhône-Alpes",
+  '93': "Provence-Alpes-Côte d'Azur",
+  '94': "Corse"
+};
+
+// Départements (code INSEE → nom), comme renvoyés par geo.api.gouv.fr/departements
+const DEPARTEMENTS = {
+  '01': "Ain",
+  '02': "Aisne",
+  '03': "Allier",
+  '04': "Alpes-de-Haute-Provence",
+  '05': "Hautes-Alpes",
+  '06': "Alpes-Maritimes",
+  '07': "Ardèche",
+  '08': "Ardennes",
+  '09': "Ariège",
+  '10': "Aube",
+  '11': "Aude",
+  '12': "Aveyron",
+  '13': "Bouches-du-Rhône",
+  '14': "Calvados",
+  '15': "Cantal",
+  '16': "Charente",
+  '17': "Charente-Maritime",
+  '18': "Cher",
+  '19': "Corrèze",
+  '21': "Côte-d'Or",
+  '22': "Côtes-d'Armor",
+  '23': "Creuse",
+  '24': "Dordogne",
+  '25': "Doubs",
+  '26': "Drôme",
+  '27': "Eure",
+  '28': "Eure-et-Loir",
+  '29': "Finistère",
+  '2A': "Corse-du-Sud",
+  '2B': "Haute-Corse",
+  '30': "Gard",
+  '31': "Haute-Garonne",
+  '32': "Gers",
+  '33': "Gironde",
+  '34': "Hérault",
+  '35': "Ille-et-Vilaine",
+  '36': "Indre",
+  '37': "Indre-et-Loire",
+  '38': "Isère",
+  '39': "Jura",
+  '40': "Landes",
+  '41': "Loir-et-Cher",
+  '42': "Loire",
+  '43': "Haute-Loire",
+  '44': "Loire-Atlantique",
+  '45': "Loiret",
+  '46': "Lot",
+  '47': "Lot-et-Garonne",
+  '48': "Lozère",
+  '49': "Maine-et-Loire",
+  '50': "Manche",
+  '51': "Marne",
+  '52': "Haute-Marne",
+  '53': "Mayenne",
+  '54': "Meurthe-et-Moselle",
+  '55': "Meuse",
+  '56': "Morbihan",
+  '57': "Moselle",
+  '58': "Nièvre",
+  '59': "Nord",
+  '60': "Oise",
+  '61': "Orne",
+  '62': "Pas-de-Calais",
+  '63': "Puy-de-Dôme",
+  '64': "Pyrénées-Atlantiques",
+  '65': "Hautes-Pyrénées",
+  '66': "Pyrénées-Orientales",
+  '67': "Bas-Rhin",
+  '68': "Haut-Rhin",
+  '69': "Rhône",
+  '70': "Haute-Saône",
+  '71': "Saône-et-Loire",
+  '72': "Sarthe",
+  '73': "Savoie",
+  '74': "Haute-Savoie",
+  '75': "Paris",
+  '76': "Seine-Maritime",
+  '77': "Seine-et-Marne",
+  '78': "Yvelines",
+  '79': "Deux-Sèvres",
+  '80': "Somme",
+  '81': "Tarn",
+  '82': "Tarn-et-Garonne",
+  '83': "Var",
+  '84': "Vaucluse",
+  '85': "Vendée",
+  '86': "Vienne",
+  '87': "Haute-Vienne",
+  '88': "Vosges",
+  '89': "Yonne",
+  '90': "Territoire de Belfort",
+  '91': "Essonne",
+  '92': "Hauts-de-Seine",
+  '93': "Seine-Saint-Denis",
+  '94': "Val-de-Marne",
+  '95': "Val-d'Oise",
+  '971': "Guadeloupe",
+  '972': "Martinique",
+  '973': "Guyane",
+  '974': "La Réunion",
+  '976': "Mayotte"
+};
+
+// Catégories juridiques INSEE de niveau II (2 premiers chiffres de la nature juridique)
+const CATEGORIES_JURIDIQUES = {
+  '00': "Organisme de placement collectif en valeurs mobilières sans personnalité morale",
+  '10': "Entrepreneur individuel",
+  '21': "Indivision",
+  '22': "Société créée de fait",
+  '23': "Société en participation",
+  '24': "Fiducie",
+  '27': "Paroisse hors zone concordataire",
+  '28': "Assujetti unique à la TVA",
+  '29': "Autre groupement de droit privé non doté de la personnalité morale",
+  '31': "Personne morale de droit étranger, immatriculée au RCS",
+  '32': "Personne morale de droit étranger, non immatriculée au RCS",
+  '41': "Établissement public ou régie à caractère industriel ou commercial",
+  '51': "Société coopérative commerciale particulière",
+  '52': "Société en nom collectif",
+  '53': "Société en commandite",
+  '54': "Société à responsabilité limitée (SARL)",
+  '55': "Société anonyme à conseil d'administration",
+  '56': "Société anonyme à directoire",
+  '57': "Société par actions simplifiée",
+  '58': "Société européenne",
+  '61': "Caisse d'épargne et de prévoyance",
+  '62': "Groupement d'intérêt économique",
+  '63': "Société coopérative agricole",
+  '64': "Société d'assurance mutuelle",
+  '65': "Société civile",
+  '69': "Autre personne morale de droit privé inscrite au RCS",
+  '71': "Administration de l'État",
+  '72': "Collectivité territoriale",
+  '73': "Établissement public administratif",
+  '74': "Autre personne morale de droit public administratif",
+  '81': "Organisme gérant un régime de protection sociale à adhésion obligatoire",
+  '82': "Organisme mutualiste",
+  '83': "Comité d'entreprise",
+  '84': "Organisme professionnel",
+  '85': "Organisme de retraite à adhésion non obligatoire",
+  '91': "Syndicat de propriétaires",
+  '92': "Association loi 1901 ou assimilé",
+  '93': "Fondation",
+  '99': "Autre personne morale de droit privé"
+};
+
+// Natures juridiques INSEE (niveau III) les plus courantes, plus précises que la catégorie
+const NATURES_JURIDIQUES = {
+  '1000': "Entrepreneur individuel",
+  '5202': "Société en nom collectif",
+  '5306': "Société en commandite simple",
+  '5308': "Société en commandite par actions",
+  '5498': "SARL unipersonnelle",
+  '5499': "Société à responsabilité limitée (sans autre indication)",
+  '5599': "SA à conseil d'administration (sans autre indication)",
+  '5699': "SA à directoire (sans autre indication)",
+  '5710': "SAS, société par actions simplifiée",
+  '5720': "Société par actions simplifiée à associé unique ou société par actions simplifiée unipersonnelle",
+  '5800': "Société européenne",
+  '6540': "Société civile immobilière",
+  '9220': "Association déclarée",
+  '9300': "Fondation"
+};
+
+export default { ROLES, ROLE_PATTERNS, SECTIONS_NAF, TRANCHES_EFFECTIFS, REGIONS, DEPARTEMENTS, CATEGORIES_JURIDIQUES, NATURES_JURIDIQUES };
+
@@ -0,0 +1,74 @@
+/**
+ * Taux de remplissage des champs produits par getDetails, pour détecter une dérive des sélecteurs
+ * (ex: le site change son HTML et un champ revient vide partout via les fallbacks `?? ''`).
+ */
+
+// Champs issus de getList, toujours présents : inutile de les mesurer.
+const IGNORED_FIELDS = ['nom', 'lien'];
+
+// Baisse maximale tolérée du taux de remplissage d'un champ d'un run à l'autre (en points, 0.2 = 20 %).
+export const DEFAULT_MAX_DROP = 0.2;
+
+// Nombre de fiches récentes mesurées quand l'étape est lancée seule, sans fiches scrapées dans le run.
+export const DEFAULT_COVERAGE_WINDOW = 500;
+
+// En dessous de ce nombre de fiches, un taux de remplissage n'est pas significatif (une fiche vide = plusieurs points).
+export const DEFAULT_MIN_RECORDS = 30;
+
+function isFilled(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+}
+
+/**
+ * Calcule le taux de remplissage de chaque champ.
+ * @param {Array<object>} items - Les éléments de l'étape "details".
+ * @returns {{total: number, fields: Object<string, number>}} - Taux entre 0 et 1 par champ.
+ */
+export function computeFieldCoverage(items) {
+    const counts = {};
+    for (const item of items) {
+        for (const [field, value] of Object.entries(item)) {
+            if (IGNORED_FIELDS.includes(field)) continue;
+            counts[field] = (counts[field] ?? 0) + (isFilled(value) ? 1 : 0);
+        }
+    }
+
+    const fields = {};
+    for (const [field, count] of Object.entries(counts)) {
+        fields[field] = items.length > 0 ? count / items.length : 0;
+    }
+    return { total: items.length, fields };
+}
+
+/**
+ * Compare la couverture actuelle à celle du run précédent.
+ * Un champ qui a disparu compte comme une baisse à 0 %.
+ * @param {{fields: object}} current - La couverture du run actuel.
+ * @param {{fields: object}|undefined} previous - La couverture du run précédent.
+ * @param {number} [maxDrop=DEFAULT_MAX_DROP] - Baisse tolérée avant de signaler le champ.
+ * @returns {Array<{field: string, previous: number, current: number}>} - Les champs en baisse anormale.
+ */
+export function findCoverageDrops(current, previous, maxDrop = DEFAULT_MAX_DROP) {
+    if (!previous) return [];
+
+    const drops = [];
+    for (const [field, previousRate] of Object.entries(previous.fields)) {
+        const currentRate = current.fields[field] ?? 0;
+        if (previousRate - currentRate > maxDrop) {
+            drops.push({ field, previous: previousRate, current: currentRate });
+        }
+    }
+    return drops;
+}
+
+/**
+ * Formate un taux en pourcentage lisible.
+ * @param {number} rate - Taux entre 0 et 1.
+ * @returns {string}
+ */
+export function formatRate(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
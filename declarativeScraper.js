@@ -0,0 +1,244 @@
+import { fetchWithRetry, HttpError } from './http.js';
+import * as cheerio from 'cheerio';
+import chalk from 'chalk';
+import { BROWSER_MODE } from './browserScraper.js';
+
+const DEFAULT_TEST_LIMIT = 20; // Même limite que les scrapers écrits à la main en mode test
+const DEFAULT_MAX_PAGES = 500; // Garde-fou contre une pagination qui ne s'arrêterait jamais
+
+/**
+ * Normalise la description d'un champ : une chaîne seule est un raccourci pour `{ selector }`.
+ * @param {string|object} spec - La description du champ dans la définition.
+ * @returns {object}
+ */
+function normalizeFieldSpec(spec) {
+    return typeof spec === 'string' ? { selector: spec } : spec;
+}
+
+/**
+ * Applique les post-traitements d'un champ (regex, remplacement, découpage) à une valeur brute.
+ * @param {string} value - La valeur extraite.
+ * @param {object} spec - La description du champ.
+ * @returns {string}
+ */
+function postProcess(value, spec) {
+    let result = value ?? '';
+
+    if (spec.trim !== false) {
+        result = result.replace(/\s+/g, ' ').trim();
+    }
+    if (spec.regex) {
+        const match = result.match(new RegExp(spec.regex, spec.regexFlags ?? ''));
+        // S'il y a un groupe capturant, on le prend ; sinon, la correspondance complète.
+        result = match ? (match[spec.group ?? (match.length > 1 ? 1 : 0)] ?? '') : '';
+    }
+    if (spec.replace) {
+        const [pattern, replacement = ''] = spec.replace;
+        result = result.replace(new RegExp(pattern, 'g'), replacement);
+    }
+    if (spec.split !== undefined) {
+        result = result.split(spec.split)[spec.part ?? 0] ?? '';
+    }
+    if (spec.trim !== false) {
+        result = result.trim();
+    }
+    return result || (spec.default ?? '');
+}
+
+/**
+ * Extrait la valeur brute d'un élément : un attribut, ou le texte par défaut.
+ * Les attributs `href` et `src` sont résolus en URL absolues par rapport à la page.
+ */
+function readElement($element, spec, pageUrl) {
+    if (!spec.attribute) {
+        return $element.text();
+    }
+    const value = $element.attr(spec.attribute) ?? '';
+    if (value && pageUrl && ['href', 'src'].includes(spec.attribute)) {
+        try {
+            return new URL(value, pageUrl).href;
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * Extrait tous les champs décrits par `fields` dans le contexte donné (page entière ou élément de liste).
+ * Les champs sont évalués dans l'ordre de déclaration : `from` peut réutiliser un champ précédent.
+ * @param {import('cheerio').CheerioAPI} $ - Le document chargé.
+ * @param {import('cheerio').Cheerio} $scope - Le contexte de recherche des sélecteurs.
+ * @param {object} fields - Les descriptions de champs (`nom -> spec`).
+ * @param {string} pageUrl - L'URL de la page, pour résoudre les liens relatifs.
+ * @returns {object} - Les champs extraits (sans ceux marqués `output: false`).
+ */
+export function extractFields($, $scope, fields, pageUrl) {
+    const values = {};
+    const output = {};
+
+    for (const [name, rawSpec] of Object.entries(fields ?? {})) {
+        const spec = normalizeFieldSpec(rawSpec);
+        let value;
+
+        if (spec.from) {
+            value = postProcess(values[spec.from], spec);
+        } else if (spec.all) {
+            value = $scope.find(spec.selector).toArray()
+                .map(element => postProcess(readElement($(element), spec, pageUrl), spec))
+                .filter(Boolean);
+        } else {
+            const $element = $scope.find(spec.selector).eq(spec.index ?? 0);
+            value = $element.length > 0 ? postProcess(readElement($element, spec, pageUrl), spec) : (spec.default ?? '');
+        }
+
+        values[name] = value;
+        if (spec.output !== false) {
+            output[name] = value;
+        }
+    }
+    return output;
+}
+
+/**
+ * Charge une page : par HTTP, ou dans le navigateur pour un scraper en mode navigateur (`waitFor` :
+ * sélecteur à attendre avant de lire la page rendue).
+ */
+async function fetchDocument(url, browser, waitFor) {
+    if (browser) return browser.load(url, { waitFor });
+    const response = await fetchWithRetry(url);
+    return cheerio.load(await response.text());
+}
+
+/**
+ * Génère les URLs des pages de liste selon la stratégie de pagination.
+ * - `none` (défaut) : uniquement `list.url`.
+ * - `page` : `list.url` contient `{page}`, incrémenté à partir de `start` jusqu'à une page vide
+ *   ou en erreur 4xx (hors première page).
+ * - `next` : suit le lien `nextSelector` de chaque page tant qu'il existe.
+ * - `scroll` / `loadMore` (mode navigateur) : une seule page, dépliée en faisant défiler la liste ou en
+ *   cliquant sur `buttonSelector` jusqu'à ce qu'aucun élément n'apparaisse (`maxPages` défilements ou clics).
+ * @param {object} list - La section `list` de la définition.
+ * @param {object} [browser] - Le contexte de navigation (voir `browserScraper.js`).
+ * @param {number} [maxItems] - Nombre d'éléments suffisant (mode test).
+ */
+async function* listPages(list, browser, maxItems) {
+    const pagination = list.pagination ?? { type: 'none' };
+    const maxPages = pagination.maxPages ?? DEFAULT_MAX_PAGES;
+
+    if (pagination.type === 'scroll' || pagination.type === 'loadMore') {
+        await browser.load(list.url, { waitFor: list.waitFor });
+        const options = { itemSelector: list.item, maxItems, idleMs: pagination.idleMs };
+        if (pagination.type === 'scroll') {
+            await browser.scrollUntilStable({ ...options, maxScrolls: maxPages });
+        } else {
+            await browser.clickUntilDone(pagination.buttonSelector, { ...options, maxClicks: maxPages });
+        }
+        yield { url: list.url, $: await browser.document() };
+        return;
+    }
+
+    if (pagination.type === 'page') {
+        const start = pagination.start ?? 1;
+        for (let page = start; page < start + maxPages; page++) {
+            const url = list.url.replace('{page}', page);
+            let $;
+            try {
+                $ = await fetchDocument(url, browser, list.waitFor);
+            } catch (error) {
+                // Beaucoup de sites répondent 404 (ou 410) après la dernière page : c'est la fin de la liste.
+                if (page > start && error instanceof HttpError && !error.transient && error.status < 500) return;
+                throw error;
+            }
+            yield { url, $ };
+        }
+        return;
+    }
+
+    let url = list.url;
+    for (let count = 0; url && count < maxPages; count++) {
+        const $ = await fetchDocument(url, browser, list.waitFor);
+        yield { url, $ };
+
+        if (pagination.type !== 'next') return;
+        const nextHref = $(pagination.nextSelector).first().attr('href');
+        url = nextHref ? new URL(nextHref, url).href : null;
+    }
+}
+
+/**
+ * Vérifie qu'une définition contient le minimum nécessaire au contrat `{nom, lien}`.
+ * @param {object} definition - La définition chargée depuis le fichier JSON/YAML.
+ * @param {string} sourceName - Le nom de la source, pour les messages d'erreur.
+ */
+function validateDefinition(definition, sourceName) {
+    const errors = [];
+    if (!definition?.list?.url) errors.push('`list.url` est obligatoire');
+    if (!definition?.list?.item) errors.push('`list.item` (sélecteur des éléments de liste) est obligatoire');
+    if (!definition?.list?.fields?.nom) errors.push('`list.fields.nom` est obligatoire');
+    if (!definition?.list?.fields?.lien) errors.push('`list.fields.lien` est obligatoire');
+    if (definition?.list?.pagination?.type === 'page' && !definition.list.url.includes('{page}')) {
+        errors.push('la pagination `page` nécessite `{page}` dans `list.url`');
+    }
+    if (definition?.list?.pagination?.type === 'next' && !definition.list.pagination.nextSelector) {
+        errors.push('la pagination `next` nécessite `list.pagination.nextSelector`');
+    }
+    const paginationType = definition?.list?.pagination?.type;
+    if (['scroll', 'loadMore'].includes(paginationType) && definition.config?.mode !== BROWSER_MODE) {
+        errors.push(`la pagination \`${paginationType}\` nécessite \`config.mode: browser\``);
+    }
+    if (paginationType === 'loadMore' && !definition.list.pagination.buttonSelector) {
+        errors.push('la pagination `loadMore` nécessite `list.pagination.buttonSelector`');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Définition de scraper invalide pour "${sourceName}" : ${errors.join(', ')}.`);
+    }
+}
+
+/**
+ * Construit un scraper (même contrat que `scrapers/*.js`) à partir d'une définition déclarative.
+ * @param {object} definition - La définition (voir README, « Scrapers déclaratifs »).
+ * @param {string} sourceName - Le nom de la source.
+ * @returns {{getList: Function, getDetails: Function, config: object, schema?: object}}
+ */
+export function createDeclarativeScraper(definition, sourceName) {
+    validateDefinition(definition, sourceName);
+    const { list, details = {} } = definition;
+    const testLimit = definition.testLimit ?? DEFAULT_TEST_LIMIT;
+
+    async function getList(isTestMode = false, browser = undefined) {
+        console.log(`-> Démarrage de getList pour ${sourceName} (scraper déclaratif)...`);
+        const companyList = [];
+        let pageNum = 1;
+
+        for await (const { url, $ } of listPages(list, browser, isTestMode ? testLimit : undefined)) {
+            const items = $(list.item).toArray();
+            if (items.length === 0) break;
+
+            for (const element of items) {
+                const item = extractFields($, $(element), list.fields, url);
+                if (item.nom && item.lien) {
+                    companyList.push(item);
+                }
+            }
+
+            const status = `   -> Page ${chalk.blue(pageNum)} traitée | ${chalk.green(companyList.length)} entreprises trouvées`;
+            process.stdout.write(status + '\r');
+            pageNum++;
+
+            if (isTestMode && companyList.length >= testLimit) break;
+        }
+
+        process.stdout.write('\n');
+        const result = isTestMode ? companyList.slice(0, testLimit) : companyList;
+        console.log(`\n-> getList a terminé. ${result.length} entreprises trouvées.`);
+        return result;
+    }
+
+    async function getDetails(lien, browser = undefined) {
+        const $ = await fetchDocument(lien, browser, details.waitFor);
+        return extractFields($, $.root(), details.fields, lien);
+    }
+
+    return { getList, getDetails, config: definition.config ?? {}, schema: definition.schema };
+}
@@ -1,351 +1,132 @@
-import fetch from 'node-fetch';
-import puppeteer, { TimeoutError } from 'puppeteer';
-import path from 'path';
 import cliProgress from 'cli-progress';
 import chalk from 'chalk';
-import { getStep, setStep, delay, logError } from './utils.js';
-import constants from './constants.js';
+import { getStep, appendStep, delay, logError, runWithConcurrency } from './utils.js';
+import { isTransientError } from './http.js';
+import { computeFieldCoverage, formatRate } from './coverage.js';
 
 /**
- * Étape 3a : Enrichit les données avec l'API SIRENE.
- * @param {string} sourceName - Le nom de la source.
- * @param {boolean} isTestMode - Indique si on est en mode test.
+ * Moteur commun des étapes d'enrichissement.
+ *
+ * Un fournisseur (voir `enrichers/index.js`) ne décrit que le traitement d'un élément ; ce module
+ * s'occupe du reste : lecture de l'étape d'entrée, reprise là où le run précédent s'est arrêté,
+ * sauvegarde de chaque élément dès qu'il est traité, journalisation des erreurs (une erreur
+ * passagère laisse l'élément à reprendre) et barre de progression. Les éléments sont traités un par un,
+ * ou en parallèle si le fournisseur déclare une `concurrency` (ex: LinkedIn, une page du pool par entreprise).
  */
-async function enrichWithSirene(sourceName, isTestMode = false) {
-    console.log(chalk.blue("\n--- DÉBUT ÉTAPE 3a: Enrichissement via API SIRENE ---"));
-
-    const companiesToEnrich = await getStep(sourceName, "details", isTestMode);
-    let enrichedCompanies = await getStep(sourceName, "enriched", isTestMode);
-
-    const doneNames = new Set(enrichedCompanies.map(item => item.scrap_nom));
-    let successCount = enrichedCompanies.filter(c => c.sirene_siren).length;
-
-    const progressBar = new cliProgress.SingleBar(
-        { format: '{bar} {percentage}% | {value}/{total} | {payload}' },
-        cliProgress.Presets.shades_classic);
-    progressBar.start(companiesToEnrich.length, doneNames.size);
-
-    let companyIdCounter = enrichedCompanies.length;
-    let dirigeantsIdCounter = enrichedCompanies.reduce((acc, company) => acc + (company.dirigeants?.length || 0), 0);
 
-    for (const company of companiesToEnrich) {
-        if (doneNames.has(company.nom)) {
-            continue;
-        }
-
-        let foundOneResult = false;
-
-        try {
-            if (!company.codePostal) {
-                // On ne fait rien, le placeholder sera ajouté dans le `finally`
-                continue;
-            }
-
-            const response = await fetch(`https://recherche-entreprises.api.gouv.fr/search?q=${encodeURIComponent(company.nom)}&etat_administratif=A&code_postal=${company.codePostal}&ca_min=10000000&ca_max=300000000`, {
-                method: 'GET',
-                headers: { "Accept": "application/json" }
-            });
-
-            if (!response.ok) {
-                throw new Error(`API error: ${response.status} ${response.statusText}`);
-            }
+// Clé de reprise par défaut : `nom` dans les détails, `scrap_nom` une fois enrichi.
+const defaultKey = (item) => item.scrap_nom ?? item.nom;
 
-            const rawData = await response.json();
-            const data = rawData.results.filter(d => d.nom_complet.includes(company.nom) || d.nom_raison_sociale.includes(company.nom));
+const toArray = (value) => (value === null || value === undefined ? [] : [].concat(value));
 
-            for (let d of data) {
-                const uniqueID = "ENT-" + String(++companyIdCounter).padStart(5, '0');
-                const [departement, region] = await Promise.all([
-                    fetch(`https://geo.api.gouv.fr/departements/${d.siege.departement}`).then(d => d.json()).catch(() => ({ code: "", nom: "" })),
-                    fetch(`https://geo.api.gouv.fr/regions/${d.siege.region}`).then(r => r.json()).catch(() => ({ nom: "" }))
-                ]);
-                const finalCompany = {};
-                finalCompany.id = uniqueID;
-                for (const [key, value] of Object.entries(company)) {
-                    let finalValue = value;
-                    if (key === 'website') {
-                        finalValue = (new URL(value.includes('://') ? value : `https://${value}`)).origin + '/';
-                    }
-                    finalCompany[`scrap_${key}`] = finalValue;
-                }
-
-                const latestYear = d.finances ? Math.max(...Object.keys(d.finances).map(Number)) : null;
-
-                finalCompany.sirene_siren = d.siren;
-                finalCompany.sirene_adresse = d.siege.adresse;
-                finalCompany.sirene_ville = d.siege.libelle_commune;
-                finalCompany.siren_departement_code = departement.code;
-                finalCompany.sirene_departement = departement.nom;
-                finalCompany.sirene_region = region.nom;
-                finalCompany.sirene_activite = constants.DIVISION_ACTIVITE_PRINCIPALE[d.activite_principale?.split('.')[0]] ?? "";
-                finalCompany.sirene_ca = latestYear ? d.finances[latestYear]?.ca ?? "" : "";
-                finalCompany.sirene_annee_ca = latestYear ?? "";
-                finalCompany.sirene_effectifs = constants.TRANCHES_EFFECTIFS[d.tranche_effectif_salarie] ?? "";
-                finalCompany.sirene_annee_effectifs = d.annee_tranche_effectif_salarie ?? "";
-                finalCompany.domain = finalCompany.scrap_website?.replace(/^(https?:\/\/)?(www\.)?/, '').split('/')[0] ?? null;
-                if (!finalCompany.scrap_website || !finalCompany.scrap_nom || !finalCompany.scrap_codePostal) continue;
-
-                // Initialisation du tableau des dirigeants
-                finalCompany.dirigeants = [];
-
-                // 1. On ajoute les dirigeants de l'API SIRENE
-                const sireneDirigeants = (d.dirigeants ?? [])
-                    .filter(d => d.type_dirigeant === 'personne physique')
-                    .filter(d => !constants.ROLES_A_EXCLURE.includes(d.qualite))
-                    .map(dirigeant => ({
-                        id: "PER-" + String(++dirigeantsIdCounter).padStart(5, '0'),
-                        prenom: dirigeant.prenoms,
-                        nom: dirigeant.nom,
-                        fonction: dirigeant.qualite ?? '',
-                        entreprise: company.nom,
-                        idEntreprise: uniqueID
-                    }));
-                finalCompany.dirigeants.push(...sireneDirigeants);
-
-                // 2. On ajoute les contacts du scraper, s'ils existent
-                if (Array.isArray(company.contacts) && company.contacts.length > 0) {
-                    const scrapedContacts = company.contacts.map(contact => {
-                        // On s'assure que les propriétés essentielles existent.
-                        const verifiedContact = {
-                            prenom: '',
-                            nom: '',
-                            fonction: '',
-                            ...contact // Les valeurs existantes écraseront les valeurs par défaut.
-                        };
-                        verifiedContact.id = "PER-" + String(++dirigeantsIdCounter).padStart(5, '0');
-                        verifiedContact.entreprise = company.nom;
-                        verifiedContact.idEntreprise = uniqueID;
-                        return verifiedContact;
-                    });
-                    finalCompany.dirigeants.push(...scrapedContacts);
-                }
-                enrichedCompanies.push(finalCompany);
-                foundOneResult = true;
-            }
-
-            if (foundOneResult) {
-                successCount++;
-                const payloadString = `${chalk.green(`Trouvées: ${successCount}`)} | ${chalk.green(company.nom)}`;
-                progressBar.increment(1, { payload: payloadString });
-            } else {
-                const payloadString = `${chalk.green(`Trouvées: ${successCount}`)} | ${chalk.yellow(`${company.nom} - Aucune entreprise trouvée`)}`;
-                progressBar.increment(1, { payload: payloadString });
-            }
+function hasRequiredFields(item, requires = []) {
+    return requires.every(field => item[field] !== undefined && item[field] !== null && item[field] !== '');
+}
 
-        } catch (error) {
-            await logError(sourceName, 'enrich:sirene', error, { nom: company.nom }, isTestMode);
-            const payloadString = `${chalk.green(`Trouvées: ${successCount}`)} | ${chalk.red(`${company.nom} - Erreur SIRENE`)}`;
-            progressBar.increment(1, { payload: payloadString });
-        } finally {
-            // Si l'entreprise n'a pas été ajoutée (pas de résultat ou erreur),
-            // on ajoute un placeholder pour la marquer comme "traitée".
-            if (!foundOneResult) {
-                const placeholder = {};
-                // On copie les données de scraping
-                for (const [key, value] of Object.entries(company)) {
-                    placeholder[`scrap_${key}`] = value;
-                }
-                placeholder.sirene_siren = null;
-                // On conserve les contacts du scraper même si l'enrichissement SIRENE échoue
-                if (Array.isArray(company.contacts) && company.contacts.length > 0) {
-                    placeholder.dirigeants = company.contacts.map(contact => {
-                        // On applique la même vérification ici
-                        const verifiedContact = { prenom: '', nom: '', fonction: '', ...contact };
-                        verifiedContact.entreprise = company.nom;
-                        return verifiedContact;
-                    });
-                } else {
-                    placeholder.dirigeants = [];
-                }
-                enrichedCompanies.push(placeholder);
-            }
-            // On sauvegarde l'état à chaque itération pour une reprise fiable.
-            await setStep(sourceName, "enriched", enrichedCompanies, isTestMode);
-            await delay(250);
-        }
-    }
-    progressBar.stop();
-    console.log("\n✅ Étape 3a terminée. L'enrichissement SIRENE est complet.");
+/**
+ * Affiche le taux de remplissage des champs que le fournisseur déclare ajouter.
+ */
+function printAddedFieldsCoverage(provider, records) {
+    if (!provider.adds?.length || records.length === 0) return;
+    const coverage = computeFieldCoverage(records.map(record => Object.fromEntries(provider.adds.map(field => [field, record[field]]))));
+    const rates = provider.adds.map(field => `${field} ${formatRate(coverage.fields[field] ?? 0)}`);
+    console.log(chalk.gray(`-> Remplissage (${coverage.total} éléments) : ${rates.join(', ')}`));
 }
 
 /**
- * Étape 3b : Enrichit les données avec les URLs LinkedIn via Puppeteer.
+ * Exécute un fournisseur d'enrichissement sur tous les éléments de l'étape d'entrée.
+ * @param {object} provider - Le fournisseur (voir `enrichers/index.js`).
  * @param {string} sourceName - Le nom de la source.
- * @param {boolean} isTestMode - Indique si on est en mode test.
+ * @param {boolean} [isTestMode=false] - Indique si on est en mode test.
+ * @param {object} [options={}] - Options d'exécution, transmises au fournisseur.
+ * @param {string} options.input - L'étape qui contient les éléments à enrichir.
+ * @param {string} options.output - L'étape où sauvegarder les éléments enrichis.
+ * @param {object} [options.config] - La section de la `config` du scraper portant le nom du fournisseur.
  */
-async function enrichWithLinkedIn(sourceName, isTestMode = false) { // eslint-disable-line no-unused-vars
-    console.log(chalk.blue("\n--- DÉBUT ÉTAPE 3b: Recherche des URLs LinkedIn ---"));
-    const allProcessedCompanies = await getStep(sourceName, "enriched", isTestMode);
-    // On ne traite que les entreprises qui ont été réellement enrichies par SIRENE.
-    const companiesToEnrich = allProcessedCompanies.filter(c => c.sirene_siren);
+async function runEnrichment(provider, sourceName, isTestMode = false, options = {}) {
+    console.log(chalk.blue(`\n--- DÉBUT ÉTAPE : ${provider.title ?? provider.name} ---`));
 
-    let finalData = await getStep(sourceName, "final", isTestMode);
-    let successCount = finalData.length;
+    const key = provider.key ?? defaultKey;
+    const inputItems = await getStep(sourceName, options.input, isTestMode);
+    const existing = await getStep(sourceName, options.output, isTestMode);
+    const items = provider.filter ? inputItems.filter(item => provider.filter(item, options)) : inputItems;
+
+    const doneKeys = new Set(existing.map(key));
+    const isFound = provider.isFound ?? (() => true);
+    let successCount = existing.filter(isFound).length;
+    let skippedCount = 0;
+    const records = [...existing];
 
-    const doneNames = new Set(finalData.map(item => item.scrap_nom));
     const progressBar = new cliProgress.SingleBar(
         { format: '{bar} {percentage}% | {value}/{total} | {payload}' },
         cliProgress.Presets.shades_classic);
-    progressBar.start(companiesToEnrich.length, doneNames.size);
-
-    let browser;
+    progressBar.start(items.length, items.filter(item => doneKeys.has(key(item))).length);
+    const found = () => chalk.green(`Trouvées: ${successCount}`);
+
+    const context = {
+        sourceName,
+        isTestMode,
+        options,
+        existing,
+        state: undefined,
+        // Permet au fournisseur d'afficher où il en est pour l'élément en cours.
+        progress: (message) => progressBar.update({ payload: `${found()} | ${chalk.cyan(message)}` })
+    };
 
     try {
-        // On force Puppeteer à utiliser un dossier de cache stable pour éviter les problèmes de pare-feu
-        // à chaque mise à jour.
-        const puppeteerCacheDir = path.join(process.cwd(), '.puppeteer_cache');
-
-        browser = await puppeteer.launch({
-            cacheDirectory: puppeteerCacheDir,
-            headless: 'new',
-            args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        const page = await browser.newPage();
-        await page.setViewport({ width: 1920, height: 1080 });
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-        for (const company of companiesToEnrich) {
-            if (doneNames.has(company.scrap_nom)) {
-                continue;
+        context.state = provider.setup ? await provider.setup(context) : undefined;
+
+        const concurrency = provider.concurrency?.(options) ?? 1;
+        const remaining = items.filter(item => !doneKeys.has(key(item)));
+        await runWithConcurrency(remaining, concurrency, async (item) => {
+            const name = key(item);
+            if (!hasRequiredFields(item, provider.requires)) {
+                // Rien n'est sauvegardé : l'élément sera réévalué au prochain run s'il a été complété.
+                skippedCount++;
+                progressBar.increment(1, { payload: `${found()} | ${chalk.gray(`${name} - Champs requis manquants (${provider.requires.join(', ')})`)}` });
+                return;
             }
 
-            let selectedUrl = '';
-            let finalCompany = { ...company, linkedinUrl: '' }; // Initialiser avec une URL vide
-
+            let itemRecords = [];
+            let status;
             try {
-                let navigationSuccess = false;
-                if (company.scrap_website && company.scrap_website.startsWith('http')) {
-                    try {
-                        // Tentative 1
-                        await page.goto(company.scrap_website, { waitUntil: 'networkidle2', timeout: 5000 });
-                        navigationSuccess = true;
-                    } catch (error1) {
-                        await logError(sourceName, 'enrich:linkedin_nav_attempt1', error1, { nom: company.scrap_nom, website: company.scrap_website }, isTestMode);
-                        progressBar.update({ payload: chalk.yellow(`Erreur nav sur ${company.scrap_nom}, 2nde tentative...`) });
-                        try {
-                            // Tentative 2
-                            await page.goto(company.scrap_website, { waitUntil: 'networkidle2', timeout: 10000 });
-                            navigationSuccess = true;
-                        } catch (error2) {
-                            await logError(sourceName, 'enrich:linkedin_nav_attempt2', error2, { nom: company.scrap_nom, website: company.scrap_website }, isTestMode);
-                            // Si l'erreur finale n'est pas un simple timeout, on la considère comme une erreur "dure".
-                            if (!(error2 instanceof TimeoutError)) {
-                                finalCompany.linkedinUrl = 'ERREUR';
-                            }
-                            // Les deux tentatives ont échoué, on passe à DuckDuckGo
-                            progressBar.update({ payload: `${chalk.green(`Trouvées: ${successCount}`)} | ${chalk.cyan(`Site inaccessible, recherche DDG pour ${company.scrap_nom}...`)}` });
-                            selectedUrl = await searchLinkedInOnDuckDuckGo(page, company);
-                        }
-                    }
-
-                    // Si la navigation a réussi, on cherche les liens
-                    if (navigationSuccess) {
-                        // 2. Récupérer TOUS les liens linkedin sur le site
-                        const allLinkedinLinks = await page.$$eval('a[href*="linkedin.com"]', links =>
-                            links.map(link => link.href)
-                        );
-
-                        // 3. Appliquer la stratégie de priorisation
-                        const companyMatches = allLinkedinLinks.filter(href => href.includes('/company/'));
-                        const otherMatches = allLinkedinLinks.filter(href => !href.includes('/company/'));
-
-                        if (companyMatches.length > 0) {
-                            selectedUrl = companyMatches[0]; // Priorité aux liens "company"
-                        } else if (otherMatches.length > 0) {
-                            selectedUrl = otherMatches[0];
-                        }
-
-                        // Si rien n'est trouvé sur le site, on lance une recherche Google
-                        if (!selectedUrl) {
-                            progressBar.update({ payload: `${chalk.green(`Trouvées: ${successCount}`)} | ${chalk.cyan(`Recherche DDG pour ${company.scrap_nom}...`)}` });
-                            selectedUrl = await searchLinkedInOnDuckDuckGo(page, company);
-                        }
-                    }
-                }
-
-                // 4. Mettre à jour l'objet et sauvegarder, même si non trouvé
-                // On assigne l'URL trouvée seulement si on n'a pas déjà marqué une erreur "dure"
-                if (finalCompany.linkedinUrl !== 'ERREUR') {
-                    finalCompany.linkedinUrl = selectedUrl;
-                }
-                finalData.push(finalCompany);
-                await setStep(sourceName, "final", finalData, isTestMode);
-
-                if (selectedUrl) {
-                    successCount++;
-                }
-
-                const statusMessage = finalCompany.linkedinUrl && finalCompany.linkedinUrl !== 'ERREUR'
-                    ? chalk.blue(`${company.scrap_nom} (Trouvé)`)
-                    : chalk.gray(`${company.scrap_nom} - Non trouvé`);
-                const payloadString = `${chalk.green(`Trouvées: ${successCount}`)} | ${statusMessage}`;
-                progressBar.increment(1, { payload: payloadString });
-
+                itemRecords = toArray(await provider.enrich(item, context));
+                const itemFound = itemRecords.some(isFound);
+                if (itemFound) successCount++;
+                status = itemFound ? chalk.green(name) : chalk.yellow(`${name} - Non trouvé`);
             } catch (error) {
-                await logError(sourceName, 'enrich:linkedin', error, { nom: company.scrap_nom, website: company.scrap_website }, isTestMode);
+                // Erreur passagère (429, 5xx, réseau) : rien n'est sauvegardé, l'élément sera retraité au prochain run.
+                const retryLater = isTransientError(error);
+                await logError(sourceName, `enrich:${provider.name}`, error, { nom: name, transient: retryLater }, isTestMode);
+                // Erreur définitive : on sauvegarde le repli du fournisseur pour ne pas réessayer.
+                itemRecords = retryLater ? [] : toArray(provider.fallback?.(item, error, context));
+                status = chalk.red(retryLater ? `${name} - Erreur passagère, à reprendre` : `${name} - Erreur`);
+            }
 
-                // 5. Sauvegarder l'échec pour ne pas réessayer
-                finalCompany.linkedinUrl = 'ERREUR';
-                finalData.push(finalCompany);
-                await setStep(sourceName, "final", finalData, isTestMode);
+            // On sauvegarde l'état à chaque élément pour une reprise fiable.
+            if (itemRecords.length > 0) {
+                await appendStep(sourceName, options.output, itemRecords, isTestMode);
+                records.push(...itemRecords);
+            }
+            progressBar.increment(1, { payload: `${found()} | ${status}` });
 
-                const payloadString = `${chalk.green(`Trouvées: ${successCount}`)} | ${chalk.red(`${company.scrap_nom} - Erreur`)}`;
-                progressBar.increment(1, { payload: payloadString });
+            if (provider.delayMs) {
+                await delay(provider.delayMs);
             }
-        }
+        });
     } finally {
         progressBar.stop();
-        if (browser) {
-            await browser.close();
+        if (provider.teardown) {
+            await provider.teardown(context.state, context);
         }
     }
-    console.log("\n✅ Étape 3b terminée. La recherche LinkedIn est complète.");
-}
-
-/**
- * Effectue une recherche sur DuckDuckGo pour trouver l'URL LinkedIn d'une entreprise.
- * @param {import('puppeteer').Page} page - L'instance de la page Puppeteer.
- * @param {object} company - L'objet entreprise contenant scrap_nom.
- * @returns {Promise<string>} - L'URL LinkedIn trouvée, ou une chaîne vide.
- */
-async function searchLinkedInOnDuckDuckGo(page, company) {
-    let selectedUrl = '';
-    const ddgQuery = encodeURIComponent(`${company.scrap_nom} linkedin`);
-    const ddgSearchUrl = `https://html.duckduckgo.com/html/?q=${ddgQuery}`;
-
-    await page.goto(ddgSearchUrl, { waitUntil: 'networkidle2', timeout: 10000 });
 
-    // Récupère tous les liens pertinents de la page de résultats DuckDuckGo
-    const ddgLinks = await page.evaluate(() => {
-        const links = Array.from(document.querySelectorAll('.results .result__a[href*="linkedin.com"]'));
-        return links.map(a => a.href);
-    });
-
-    // La version HTML de DuckDuckGo utilise des liens de redirection. Nous devons les analyser.
-    const cleanedLinks = ddgLinks.map(link => {
-        try {
-            const fullUrl = new URL(link, 'https://duckduckgo.com');
-            const uddgParam = fullUrl.searchParams.get('uddg');
-            return uddgParam || null;
-        } catch (e) {
-            return null;
-        }
-    }).filter(Boolean);
-
-    // Applique la stratégie de priorisation
-    const companyMatches = cleanedLinks.filter(href => href.includes('/company/'));
-    const showcaseMatches = cleanedLinks.filter(href => href.includes('/showcase/'));
-    const otherMatches = cleanedLinks.filter(href => !href.includes('/company/') && !href.includes('/showcase/'));
-
-    if (companyMatches.length > 0) {
-        selectedUrl = companyMatches[0]; // Priorité 1: Page "company"
-    } else if (showcaseMatches.length > 0) {
-        selectedUrl = showcaseMatches[0]; // Priorité 2: Page "showcase"
-    } else if (otherMatches.length > 0) {
-        selectedUrl = otherMatches[0]; // Priorité 3: Autres pages LinkedIn
+    if (skippedCount > 0) {
+        console.log(chalk.yellow(`-> ${skippedCount} élément(s) ignoré(s) faute de champs requis.`));
     }
-
-    return selectedUrl;
+    printAddedFieldsCoverage(provider, records);
+    await provider.finish?.(context);
+    console.log(`\n✅ Étape ${provider.name} terminée. ${successCount}/${items.length} trouvé(s).`);
 }
 
-export default { enrichWithSirene, enrichWithLinkedIn };
\ No newline at end of file
+export default { runEnrichment };
@@ -0,0 +1,32 @@
+import sirene from './sirene.js';
+import linkedin from './linkedin.js';
+import passthrough from './passthrough.js';
+import website from './website.js';
+
+/**
+ * Fournisseurs d'enrichissement.
+ *
+ * Un fournisseur décrit le traitement d'un seul élément ; `runEnrichment` (enrich.js) gère la reprise,
+ * la sauvegarde au fil de l'eau, les erreurs et la progression. C'est un objet :
+ * - `name` : identifiant (nom de l'étape, section de `config` du scraper, préfixe des erreurs `enrich:<name>`).
+ * - `title` (optionnel) : titre affiché au début de l'étape.
+ * - `requires` (optionnel) : champs nécessaires de l'élément d'entrée ; un élément incomplet est ignoré.
+ * - `adds` (optionnel) : champs ajoutés, dont le taux de remplissage est affiché en fin d'étape.
+ * - `enrich(item, context)` : renvoie l'élément enrichi (ou un tableau, ou `null` pour ne rien sauvegarder).
+ *   Une erreur passagère (voir `isTransientError`) laisse l'élément à reprendre au prochain run.
+ * - `fallback(item, error, context)` (optionnel) : élément à sauvegarder après une erreur définitive,
+ *   pour ne pas le retraiter (sans `fallback`, il sera retenté au prochain run).
+ * - `isFound(record)` (optionnel) : indique si l'enrichissement a abouti (compteur "Trouvées").
+ * - `filter(item, options)` (optionnel) : restreint les éléments à traiter.
+ * - `key(item)` (optionnel) : clé de reprise (défaut : `scrap_nom ?? nom`).
+ * - `setup(context)` / `teardown(state, context)` (optionnels) : ouvre et ferme les ressources partagées
+ *   (navigateur, compteurs...) ; la valeur renvoyée par `setup` est disponible dans `context.state`.
+ * - `finish(context)` (optionnel) : appelée en fin d'étape (ex: statistiques).
+ * - `delayMs` (optionnel) : pause entre deux éléments.
+ * - `concurrency(options)` (optionnel) : nombre d'éléments traités en parallèle (défaut : 1). `enrich`
+ *   ne doit alors pas dépendre de l'ordre de traitement ; l'ordre de sauvegarde n'est pas garanti.
+ *
+ * `context` = `{ sourceName, isTestMode, options, existing, state, progress(message) }`, où `options`
+ * contient les options de l'étape et `options.config` la section `config[name]` du scraper.
+ */
+export const ENRICHERS = { sirene, linkedin, passthrough, website };
@@ -0,0 +1,149 @@
+import { TimeoutError } from 'puppeteer';
+import { logError } from '../utils.js';
+import { withPage, getBrowserSettings } from '../browser.js';
+
+/**
+ * Effectue une recherche sur DuckDuckGo pour trouver l'URL LinkedIn d'une entreprise.
+ * @param {import('puppeteer').Page} page - L'instance de la page Puppeteer.
+ * @param {object} company - L'objet entreprise contenant scrap_nom.
+ * @returns {Promise<string>} - L'URL LinkedIn trouvée, ou une chaîne vide.
+ */
+async function searchLinkedInOnDuckDuckGo(page, company) {
+    let selectedUrl = '';
+    const ddgQuery = encodeURIComponent(`${company.scrap_nom} linkedin`);
+    const ddgSearchUrl = `https://html.duckduckgo.com/html/?q=${ddgQuery}`;
+
+    await page.goto(ddgSearchUrl, { waitUntil: 'networkidle2', timeout: 10000 });
+
+    // Récupère tous les liens pertinents de la page de résultats DuckDuckGo
+    const ddgLinks = await page.evaluate(() => {
+        const links = Array.from(document.querySelectorAll('.results .result__a[href*="linkedin.com"]'));
+        return links.map(a => a.href);
+    });
+
+    // La version HTML de DuckDuckGo utilise des liens de redirection. Nous devons les analyser.
+    const cleanedLinks = ddgLinks.map(link => {
+        try {
+            const fullUrl = new URL(link, 'https://duckduckgo.com');
+            const uddgParam = fullUrl.searchParams.get('uddg');
+            return uddgParam || null;
+        } catch (e) {
+            return null;
+        }
+    }).filter(Boolean);
+
+    // Applique la stratégie de priorisation
+    const companyMatches = cleanedLinks.filter(href => href.includes('/company/'));
+    const showcaseMatches = cleanedLinks.filter(href => href.includes('/showcase/'));
+    const otherMatches = cleanedLinks.filter(href => !href.includes('/company/') && !href.includes('/showcase/'));
+
+    if (companyMatches.length > 0) {
+        selectedUrl = companyMatches[0]; // Priorité 1: Page "company"
+    } else if (showcaseMatches.length > 0) {
+        selectedUrl = showcaseMatches[0]; // Priorité 2: Page "showcase"
+    } else if (otherMatches.length > 0) {
+        selectedUrl = otherMatches[0]; // Priorité 3: Autres pages LinkedIn
+    }
+
+    return selectedUrl;
+}
+
+/**
+ * Cherche la page LinkedIn d'une entreprise sur son site, puis sur DuckDuckGo.
+ * @param {import('puppeteer').Page} page - Une page du pool de navigateurs.
+ * @param {object} company - L'entreprise enrichie (scrap_nom, scrap_website).
+ * @returns {Promise<object>} - L'entreprise avec `linkedinUrl` ('' si non trouvée, 'ERREUR' si le site est en erreur).
+ */
+async function findLinkedInUrl(page, company, { sourceName, isTestMode, progress }) {
+    let selectedUrl = '';
+    const finalCompany = { ...company, linkedinUrl: '' }; // Initialiser avec une URL vide
+
+    let navigationSuccess = false;
+    if (company.scrap_website && company.scrap_website.startsWith('http')) {
+        try {
+            // Tentative 1
+            await page.goto(company.scrap_website, { waitUntil: 'networkidle2', timeout: 5000 });
+            navigationSuccess = true;
+        } catch (error1) {
+            await logError(sourceName, 'enrich:linkedin_nav_attempt1', error1, { nom: company.scrap_nom, website: company.scrap_website }, isTestMode);
+            progress(`Erreur nav sur ${company.scrap_nom}, 2nde tentative...`);
+            try {
+                // Tentative 2
+                await page.goto(company.scrap_website, { waitUntil: 'networkidle2', timeout: 10000 });
+                navigationSuccess = true;
+            } catch (error2) {
+                await logError(sourceName, 'enrich:linkedin_nav_attempt2', error2, { nom: company.scrap_nom, website: company.scrap_website }, isTestMode);
+                // Si l'erreur finale n'est pas un simple timeout, on la considère comme une erreur "dure".
+                if (!(error2 instanceof TimeoutError)) {
+                    finalCompany.linkedinUrl = 'ERREUR';
+                }
+                // Les deux tentatives ont échoué, on passe à DuckDuckGo
+                progress(`Site inaccessible, recherche DDG pour ${company.scrap_nom}...`);
+                selectedUrl = await searchLinkedInOnDuckDuckGo(page, company);
+            }
+        }
+
+        // Si la navigation a réussi, on cherche les liens
+        if (navigationSuccess) {
+            // 2. Récupérer TOUS les liens linkedin sur le site
+            const allLinkedinLinks = await page.$$eval('a[href*="linkedin.com"]', links =>
+                links.map(link => link.href)
+            );
+
+            // 3. Appliquer la stratégie de priorisation
+            const companyMatches = allLinkedinLinks.filter(href => href.includes('/company/'));
+            const otherMatches = allLinkedinLinks.filter(href => !href.includes('/company/'));
+
+            if (companyMatches.length > 0) {
+                selectedUrl = companyMatches[0]; // Priorité aux liens "company"
+            } else if (otherMatches.length > 0) {
+                selectedUrl = otherMatches[0];
+            }
+
+            // Si rien n'est trouvé sur le site, on lance une recherche Google
+            if (!selectedUrl) {
+                progress(`Recherche DDG pour ${company.scrap_nom}...`);
+                selectedUrl = await searchLinkedInOnDuckDuckGo(page, company);
+            }
+        }
+    }
+
+    // 4. Mettre à jour l'objet, même si non trouvé
+    // On assigne l'URL trouvée seulement si on n'a pas déjà marqué une erreur "dure"
+    if (finalCompany.linkedinUrl !== 'ERREUR') {
+        finalCompany.linkedinUrl = selectedUrl;
+    }
+    return finalCompany;
+}
+
+/**
+ * Fournisseur LinkedIn : cherche la page LinkedIn de l'entreprise sur son site, puis sur DuckDuckGo.
+ * Les pages viennent du navigateur partagé (`browser.js`) : un onglet planté est remplacé sans arrêter l'étape.
+ * Option : `onlyMatched` (défaut : true), ne traite que les entreprises trouvées dans SIRENE.
+ * Config (`config.linkedin`) : `concurrency`, entreprises traitées en parallèle (défaut : `poolSize` du navigateur).
+ */
+export default {
+    name: 'linkedin',
+    title: "Recherche des URLs LinkedIn",
+    requires: ['scrap_nom'],
+    adds: ['linkedinUrl'],
+    isFound: (record) => Boolean(record.linkedinUrl) && record.linkedinUrl !== 'ERREUR',
+    // Par défaut, on ne traite que les entreprises qui ont été réellement enrichies par SIRENE.
+    filter: (company, options) => options.onlyMatched === false || Boolean(company.sirene_siren),
+    // Une entreprise par page du pool : au-delà, les tâches attendraient une page libre.
+    concurrency: (options) => options.config?.concurrency ?? getBrowserSettings().poolSize,
+
+    async enrich(company, { sourceName, isTestMode, progress }) {
+        // Page déjà trouvée sur le site par l'étape "website" : inutile d'y retourner.
+        const fromWebsite = company.site_reseaux?.find(profile => profile.reseau === 'linkedin')?.valeur;
+        if (fromWebsite) {
+            return { ...company, linkedinUrl: fromWebsite };
+        }
+
+        // Une page du navigateur partagé (voir browser.js), rendue au pool après l'entreprise.
+        return withPage(page => findLinkedInUrl(page, company, { sourceName, isTestMode, progress }));
+    },
+
+    // 5. Sauvegarder l'échec pour ne pas réessayer
+    fallback: (company) => ({ ...company, linkedinUrl: 'ERREUR' })
+};
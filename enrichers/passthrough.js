@@ -0,0 +1,21 @@
+import { dedupePeople } from '../people.js';
+
+/**
+ * Fournisseur "passthrough" : recopie les détails au format des étapes d'enrichissement (champs `scrap_*`)
+ * sans interroger SIRENE, pour les sources hors de France.
+ */
+export default {
+    name: 'passthrough',
+    title: "Reprise des données scrapées sans enrichissement",
+
+    enrich(company) {
+        const record = {};
+        for (const [key, value] of Object.entries(company)) {
+            record[`scrap_${key}`] = value;
+        }
+        record.dirigeants = Array.isArray(company.contacts)
+            ? dedupePeople(company.contacts.map(contact => ({ prenom: '', nom: '', fonction: '', ...contact, entreprise: company.nom })))
+            : [];
+        return record;
+    }
+};
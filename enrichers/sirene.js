@@ -0,0 +1,236 @@
+import { fetchJson, isTransientError } from '../http.js';
+import { printCacheStats } from '../cache.js';
+import { DEFAULT_MATCH_THRESHOLD } from '../matching.js';
+import { searchCompany, cleanIdentifier, legalFormLabel, financeHistory, DEFAULT_SIRENE_FILTERS } from '../sirene.js';
+import { resolveNaf, NAF_LEVELS } from '../naf.js';
+import { dedupePeople, isExcludedRole, DEFAULT_EXCLUDED_ROLES } from '../people.js';
+import { loadIdRegistry, companyKeys, personId, websiteDomain, isLegacyId } from '../ids.js';
+import { canonicalUrl } from '../schema.js';
+import constants from '../constants.js';
+
+/**
+ * Interroge geo.api.gouv.fr (réponses en cache). Une erreur définitive (ex: code inconnu → 404) renvoie
+ * `fallback` ; une erreur passagère est propagée pour que l'entreprise soit retraitée plus tard.
+ * @param {string} url - L'URL de l'API geo.
+ * @param {object} fallback - La valeur à utiliser si la ressource n'existe pas.
+ * @returns {Promise<object>}
+ */
+async function fetchGeo(url, fallback) {
+    try {
+        return await fetchJson(url, { cache: 'geo' });
+    } catch (error) {
+        if (isTransientError(error)) throw error;
+        return fallback;
+    }
+}
+
+/**
+ * Résout le département et la région du siège avec les tables de `constants.js` ;
+ * l'API geo n'est interrogée que pour un code absent des tables.
+ * @returns {Promise<[{code: string, nom: string}, {nom: string}]>}
+ */
+function resolveGeo(siege) {
+    const departementNom = constants.DEPARTEMENTS[siege.departement];
+    const regionNom = constants.REGIONS[siege.region];
+    return Promise.all([
+        departementNom
+            ? { code: siege.departement, nom: departementNom }
+            : fetchGeo(`https://geo.api.gouv.fr/departements/${siege.departement}`, { code: "", nom: "" }),
+        regionNom
+            ? { nom: regionNom }
+            : fetchGeo(`https://geo.api.gouv.fr/regions/${siege.region}`, { nom: "" })
+    ]);
+}
+
+/**
+ * Clés stables d'une entreprise pour le registre d'identifiants (voir `ids.js`).
+ */
+const companyIdentity = (company, siren = null) => ({
+    siren,
+    domain: websiteDomain(company.website),
+    lien: company.lien,
+    nom: company.nom
+});
+
+/**
+ * Normalise et dédoublonne les personnes (voir `people.js`), puis ajoute l'identifiant de l'entreprise
+ * et un identifiant stable à chacune.
+ */
+const withPersonIds = (contacts, companyId) => dedupePeople(contacts).map(contact => ({
+    ...contact,
+    id: contact.id || personId(companyId, contact),
+    idEntreprise: companyId
+}));
+
+/**
+ * Entreprise non trouvée (ou erreur définitive) : on garde les données de scraping et les contacts
+ * du scraper, avec `sirene_siren: null` pour la marquer comme traitée.
+ */
+function placeholder(company, companyId, search = {}) {
+    const record = { id: companyId };
+    // On copie les données de scraping
+    for (const [key, value] of Object.entries(company)) {
+        record[`scrap_${key}`] = value;
+    }
+    record.sirene_siren = null;
+    record.sirene_match_score = null;
+    record.sirene_recherche = null;
+    record.sirene_identifiants_invalides = search.invalid ?? [];
+    record.sirene_candidats_rejetes = search.rejected ?? [];
+    // On conserve les contacts du scraper même si l'enrichissement SIRENE échoue
+    record.dirigeants = Array.isArray(company.contacts)
+        ? withPersonIds(company.contacts.map(contact => ({ prenom: '', nom: '', fonction: '', ...contact, entreprise: company.nom })), companyId)
+        : [];
+    return record;
+}
+
+/**
+ * Rapproche une entreprise de SIRENE et construit l'élément enrichi.
+ */
+async function enrichCompany(company, sourceName, state) {
+    // Recherche exacte si le scraper fournit un SIRET/SIREN valide, sinon on garde le meilleur candidat
+    // au-dessus du seuil en élargissant la recherche (nom + code postal → nom + département → nom seul).
+    const search = await searchCompany(company, { filters: state.filters, threshold: state.threshold });
+    const { best, strategy } = search;
+    if (!best) {
+        return placeholder(company, state.ids.companyId(companyIdentity(company), sourceName), search);
+    }
+
+    const d = best.candidate;
+    const [departement, region] = await resolveGeo(d.siege);
+    const finalCompany = {};
+    for (const [key, value] of Object.entries(company)) {
+        let finalValue = value;
+        if (key === 'website') {
+            // Un site mal formé est traité comme absent, plutôt que de faire échouer toute l'entreprise.
+            const url = canonicalUrl(value);
+            finalValue = url ? `${new URL(url).origin}/` : '';
+        }
+        finalCompany[`scrap_${key}`] = finalValue;
+    }
+    if (!finalCompany.scrap_website) {
+        return placeholder(company, state.ids.companyId(companyIdentity(company), sourceName), search);
+    }
+
+    // Identifiant stable : repris du registre si l'entreprise est déjà connue (autre run ou autre source).
+    const uniqueID = state.ids.companyId(companyIdentity(company, d.siren), sourceName);
+    finalCompany.id = uniqueID;
+
+    const latestYear = d.finances ? Math.max(...Object.keys(d.finances).map(Number)) : null;
+
+    finalCompany.sirene_siren = d.siren;
+    finalCompany.sirene_siret = strategy === 'siret' ? cleanIdentifier(company.siret) : d.siege.siret ?? "";
+    finalCompany.sirene_match_score = best.score;
+    finalCompany.sirene_recherche = strategy;
+    finalCompany.sirene_identifiants_invalides = search.invalid;
+    finalCompany.sirene_candidats_rejetes = search.rejected;
+    finalCompany.sirene_adresse = d.siege.adresse;
+    finalCompany.sirene_ville = d.siege.libelle_commune;
+    finalCompany.siren_departement_code = departement.code;
+    finalCompany.sirene_departement = departement.nom;
+    finalCompany.sirene_region = region.nom;
+    // Code NAF brut, puis code et libellé à chaque niveau (section → sous-classe).
+    const naf = resolveNaf(d.activite_principale);
+    finalCompany.sirene_activite = naf.division_libelle;
+    finalCompany.sirene_naf = naf.code;
+    for (const level of Object.keys(NAF_LEVELS)) {
+        finalCompany[`sirene_naf_${level}`] = naf[level];
+        finalCompany[`sirene_naf_${level}_libelle`] = naf[`${level}_libelle`];
+    }
+    finalCompany.sirene_ca = latestYear ? d.finances[latestYear]?.ca ?? "" : "";
+    finalCompany.sirene_annee_ca = latestYear ?? "";
+    finalCompany.sirene_effectifs = constants.TRANCHES_EFFECTIFS[d.tranche_effectif_salarie] ?? "";
+    finalCompany.sirene_annee_effectifs = d.annee_tranche_effectif_salarie ?? "";
+    // Informations de qualification : historique financier, forme juridique, établissements...
+    finalCompany.sirene_finances = financeHistory(d.finances);
+    finalCompany.sirene_date_creation = d.date_creation ?? "";
+    finalCompany.sirene_forme_juridique_code = d.nature_juridique ?? "";
+    finalCompany.sirene_forme_juridique = legalFormLabel(d.nature_juridique);
+    finalCompany.sirene_etablissements_ouverts = d.nombre_etablissements_ouverts ?? null;
+    finalCompany.sirene_ess = d.complements?.est_ess ?? null;
+    finalCompany.sirene_association = d.complements?.est_association ?? null;
+    finalCompany.sirene_latitude = d.siege.latitude ? Number(d.siege.latitude) : null;
+    finalCompany.sirene_longitude = d.siege.longitude ? Number(d.siege.longitude) : null;
+    finalCompany.domain = finalCompany.scrap_website?.replace(/^(https?:\/\/)?(www\.)?/, '').split('/')[0] ?? null;
+
+    // 1. Les dirigeants de l'API SIRENE, hors rôles écartés (commissaires aux comptes, conseil de surveillance...)
+    const sireneDirigeants = (d.dirigeants ?? [])
+        .filter(d => d.type_dirigeant === 'personne physique')
+        .filter(d => !isExcludedRole(d.qualite, state.excludedRoles))
+        .map(dirigeant => ({
+            prenom: dirigeant.prenoms,
+            nom: dirigeant.nom,
+            fonction: dirigeant.qualite ?? '',
+            entreprise: company.nom
+        }));
+
+    // 2. Les contacts du scraper, s'ils existent
+    let scrapedContacts = [];
+    if (Array.isArray(company.contacts) && company.contacts.length > 0) {
+        scrapedContacts = company.contacts.map(contact => {
+            // On s'assure que les propriétés essentielles existent.
+            const verifiedContact = {
+                prenom: '',
+                nom: '',
+                fonction: '',
+                ...contact // Les valeurs existantes écraseront les valeurs par défaut.
+            };
+            verifiedContact.entreprise = company.nom;
+            return verifiedContact;
+        });
+    }
+
+    // Une personne présente dans SIRENE et dans l'annuaire n'apparaît qu'une fois.
+    finalCompany.dirigeants = withPersonIds([...sireneDirigeants, ...scrapedContacts], uniqueID);
+    return finalCompany;
+}
+
+/**
+ * Fournisseur SIRENE : rapproche chaque entreprise de l'API recherche-entreprises et ajoute
+ * identifiants, activité, finances, localisation et dirigeants.
+ * Options lues dans `config.sirene` du scraper : `matchThreshold`, `filters`, `excludedRoles` (voir `constants.ROLES`).
+ */
+export default {
+    name: 'sirene',
+    title: "Enrichissement via API SIRENE",
+    requires: ['nom'],
+    adds: ['sirene_siren', 'sirene_naf', 'sirene_ca', 'sirene_effectifs', 'sirene_forme_juridique', 'dirigeants'],
+    delayMs: 250,
+    isFound: (record) => Boolean(record.sirene_siren),
+
+    async setup({ sourceName, isTestMode, existing, options }) {
+        const ids = await loadIdRegistry(isTestMode);
+        // Les entreprises déjà enrichies gardent leur identifiant. Les anciens identifiants séquentiels, propres
+        // à la source, n'entrent pas dans le registre commun : ils seront recalculés au prochain enrichissement.
+        for (const record of existing) {
+            if (!record.id || isLegacyId(record.id)) continue;
+            const identity = companyIdentity({ website: record.scrap_website, lien: record.scrap_lien, nom: record.scrap_nom }, record.sirene_siren);
+            ids.register(companyKeys(identity, sourceName), record.id);
+        }
+        await ids.flush();
+        return {
+            threshold: options.matchThreshold ?? options.config?.matchThreshold ?? DEFAULT_MATCH_THRESHOLD,
+            filters: { ...DEFAULT_SIRENE_FILTERS, ...options.config?.filters, ...options.sireneFilters },
+            excludedRoles: options.config?.excludedRoles ?? DEFAULT_EXCLUDED_ROLES,
+            ids
+        };
+    },
+
+    async enrich(company, { sourceName, state }) {
+        const record = await enrichCompany(company, sourceName, state);
+        // Les nouvelles associations du registre sont sauvegardées avec l'élément.
+        await state.ids.flush();
+        return record;
+    },
+
+    fallback: (company, error, { sourceName, state }) =>
+        placeholder(company, state.ids.companyId(companyIdentity(company), sourceName)),
+
+    async teardown(state) {
+        await state?.ids.flush();
+    },
+
+    finish() {
+        printCacheStats();
+    }
+};
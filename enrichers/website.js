@@ -0,0 +1,229 @@
+import * as cheerio from 'cheerio';
+import { fetchWithRetry, isTransientError } from '../http.js';
+import { canonicalUrl, toE164 } from '../schema.js';
+import { cleanIdentifier, isValidSiren } from '../sirene.js';
+import { websiteDomain } from '../ids.js';
+
+/**
+ * Fournisseur "website" : visite le site de l'entreprise (page d'accueil, mentions légales, contact)
+ * et en extrait les emails, téléphones, réseaux sociaux et le SIREN des mentions légales.
+ * Chaque valeur garde la page où elle a été trouvée (`page`), pour pouvoir la vérifier.
+ * Config (`config.website`) : `maxPages` (défaut : 3, accueil compris), `timeoutMs` (défaut : 15000).
+ * Option : `onlyMatched` (défaut : true), ne traite que les entreprises trouvées dans SIRENE.
+ */
+
+const DEFAULT_MAX_PAGES = 3;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Pages visitées après l'accueil, par priorité : repérées par leur lien (URL ou texte), sinon chemin usuel.
+const PAGE_TYPES = [
+    { type: 'mentions', pattern: /mentions[\s_-]*l[eé]gales|informations[\s_-]*l[eé]gales|legal|imprint/i, fallbackPath: '/mentions-legales' },
+    { type: 'contact', pattern: /contact|nous[\s_-]*joindre/i, fallbackPath: '/contact' }
+];
+
+const SOCIAL_NETWORKS = [
+    { reseau: 'linkedin', host: /(^|\.)linkedin\.com$/, profile: /^\/(company|showcase|school|in)\// },
+    { reseau: 'x', host: /(^|\.)(twitter|x)\.com$/, profile: /^\/(?!intent\/|share|home)[^/]+\/?$/ },
+    { reseau: 'facebook', host: /(^|\.)facebook\.com$/, profile: /^\/(?!sharer|share|dialog\/|plugins\/)[^/]+/ },
+    { reseau: 'instagram', host: /(^|\.)instagram\.com$/, profile: /^\/(?!p\/|reel\/)[^/]+\/?$/ },
+    { reseau: 'youtube', host: /(^|\.)youtube\.com$/, profile: /^\/(@|channel\/|c\/|user\/)/ }
+];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+// Faux positifs courants : images retina ("logo@2x.png"), adresses d'exemple, outils de suivi.
+const IGNORED_EMAIL = /\.(png|jpe?g|gif|svg|webp)$|@(example|exemple|domain|domaine|email|sentry|wixpress)\./i;
+
+// Numéro français dans le texte : 0X XX XX XX XX, +33 (0)X..., 0033 X..., séparé par espaces, points ou tirets.
+const PHONE_PATTERN = /(?<![\d+])(?:(?:\+|00)33[\s.-]?(?:\(0\)[\s.-]?)?|0)[1-9](?:[\s.-]?\d{2}){4}(?!\d)/g;
+
+// SIREN ou SIRET précédé de sa mention ("RCS Lyon B 123 456 789", "SIRET : 123 456 789 00012").
+const SIREN_PATTERN = /(?:siren|siret|r\.?c\.?s\.?)[^\d]{0,40}?(\d(?:[\s.]?\d){8}(?:(?:[\s.]?\d){5})?)(?!\d)/gi;
+
+const sameSite = (url, origin) => websiteDomain(url) === websiteDomain(origin);
+
+/**
+ * Télécharge une page HTML du site. Une page qui n'est pas du HTML (PDF...) renvoie null.
+ * @returns {Promise<{url: string, $: import('cheerio').CheerioAPI}|null>} - L'URL finale (après redirections) et le document.
+ */
+async function fetchPage(url, timeoutMs) {
+    const response = await fetchWithRetry(url, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html' },
+        retry: { retries: 1, timeoutMs }
+    });
+    const contentType = response.headers.get('content-type') ?? '';
+    if (contentType && !contentType.includes('html')) return null;
+    return { url: response.url || url, $: cheerio.load(await response.text()) };
+}
+
+/**
+ * Choisit les pages à visiter après l'accueil : le premier lien interne de chaque type,
+ * ou à défaut son chemin usuel (ex: '/mentions-legales').
+ */
+function findSubpages($, pageUrl, maxCount) {
+    const links = $('a[href]').toArray().map(element => {
+        const href = $(element).attr('href');
+        try {
+            return { url: new URL(href, pageUrl).href.split('#')[0], text: $(element).text() };
+        } catch {
+            return null;
+        }
+    }).filter(link => link && /^https?:/.test(link.url) && sameSite(link.url, pageUrl));
+
+    const subpages = PAGE_TYPES.map(({ type, pattern, fallbackPath }) => {
+        const link = links.find(candidate => pattern.test(new URL(candidate.url).pathname) || pattern.test(candidate.text));
+        return { type, url: link?.url ?? new URL(fallbackPath, pageUrl).href };
+    });
+    // Une même page peut servir aux deux (ex: "contact-et-mentions-legales").
+    return subpages
+        .filter((subpage, index) => subpage.url !== pageUrl && subpages.findIndex(other => other.url === subpage.url) === index)
+        .slice(0, maxCount);
+}
+
+/**
+ * Reconnaît un profil de réseau social (les liens de partage sont ignorés).
+ * @returns {{reseau: string, valeur: string}|null}
+ */
+function socialProfile(href) {
+    const url = canonicalUrl(href);
+    if (!url) return null;
+    const { hostname, pathname } = new URL(url);
+    const network = SOCIAL_NETWORKS.find(candidate => candidate.host.test(hostname) && candidate.profile.test(pathname));
+    return network ? { reseau: network.reseau, valeur: url.split('?')[0] } : null;
+}
+
+/**
+ * Extrait les coordonnées d'une page.
+ * @returns {{emails: Array<string>, telephones: Array<string>, reseaux: Array<object>, sirens: Array<string>}}
+ */
+function extractContacts($) {
+    const hrefs = $('a[href]').toArray().map(element => $(element).attr('href').trim());
+    $('script, style, noscript').remove();
+    // Adresses masquées contre les robots : "contact [at] acme [dot] fr".
+    const text = $('body').text()
+        .replace(/\s*[[(]\s*(?:at|arobase)\s*[\])]\s*/gi, '@')
+        .replace(/\s*[[(]\s*(?:dot|point)\s*[\])]\s*/gi, '.');
+
+    const mailtos = hrefs.filter(href => /^mailto:/i.test(href)).map(href => {
+        try {
+            return decodeURIComponent(href.replace(/^mailto:/i, '').split('?')[0]);
+        } catch {
+            return null; // Encodage invalide (ex: "%E9") : seul ce lien est ignoré.
+        }
+    }).filter(Boolean);
+    const emails = [...mailtos, ...(text.match(EMAIL_PATTERN) ?? [])]
+        .map(email => email.trim().toLowerCase())
+        .filter(email => !IGNORED_EMAIL.test(email));
+
+    const tels = hrefs.filter(href => /^tel:/i.test(href)).map(href => href.replace(/^tel:/i, ''));
+    const telephones = [...tels, ...(text.match(PHONE_PATTERN) ?? [])].map(phone => toE164(phone)).filter(Boolean);
+
+    const reseaux = hrefs.map(socialProfile).filter(Boolean);
+
+    // Un SIRET commence par le SIREN ; 14 chiffres peuvent aussi être un SIREN suivi d'un code postal.
+    const sirens = [...text.matchAll(SIREN_PATTERN)]
+        .map(match => cleanIdentifier(match[1]).slice(0, 9))
+        .filter(isValidSiren);
+
+    return { emails, telephones, reseaux, sirens };
+}
+
+/**
+ * Ajoute les valeurs d'une page aux valeurs déjà trouvées, sans doublon (la première page qui donne
+ * une valeur est celle retenue comme origine).
+ */
+function collect(found, values, page) {
+    for (const value of values) {
+        const entry = typeof value === 'string' ? { valeur: value } : value;
+        if (!found.has(entry.valeur)) found.set(entry.valeur, { ...entry, page });
+    }
+}
+
+// Rang d'affichage d'un profil : ordre de `SOCIAL_NETWORKS`, et page entreprise LinkedIn avant un profil personnel.
+const socialRank = (profile) => SOCIAL_NETWORKS.findIndex(network => network.reseau === profile.reseau) * 2
+    + (profile.valeur.includes('/company/') ? 0 : 1);
+
+const emptyResult = () => ({
+    site_emails: [],
+    site_telephones: [],
+    site_reseaux: [],
+    site_siren: '',
+    site_siren_page: '',
+    site_siren_concorde: null,
+    site_pages: [],
+    site_erreur: ''
+});
+
+export default {
+    name: 'website',
+    title: "Extraction des coordonnées depuis les sites web",
+    adds: ['site_emails', 'site_telephones', 'site_reseaux', 'site_siren'],
+    isFound: (record) => record.site_emails?.length > 0 || record.site_telephones?.length > 0
+        || record.site_reseaux?.length > 0 || Boolean(record.site_siren),
+    // Comme pour LinkedIn : les entreprises non identifiées dans SIRENE sont écartées ensuite par défaut.
+    filter: (company, options) => options.onlyMatched === false || Boolean(company.sirene_siren),
+
+    async enrich(company, { options, progress }) {
+        const website = canonicalUrl(company.scrap_website);
+        if (!website) return { ...company, ...emptyResult() };
+
+        const maxPages = options.config?.maxPages ?? DEFAULT_MAX_PAGES;
+        const timeoutMs = options.config?.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+        const result = emptyResult();
+        const emails = new Map();
+        const telephones = new Map();
+        const reseaux = new Map();
+
+        // Un site en erreur définitive (404, 410...) n'est pas retenté à chaque run : l'erreur est notée sur
+        // l'entreprise (`reset --from website` pour réessayer). Une erreur passagère (timeout, 5xx, réseau)
+        // remonte : l'entreprise n'est pas sauvegardée et sera retraitée au prochain run.
+        let home;
+        try {
+            home = await fetchPage(website, timeoutMs);
+        } catch (error) {
+            if (isTransientError(error)) throw error;
+            return { ...company, ...result, site_erreur: error.message };
+        }
+        result.site_pages.push({ type: 'accueil', url: home?.url ?? website, statut: home ? 'ok' : 'ignoree' });
+        if (!home) return { ...company, ...result };
+
+        const pages = [{ type: 'accueil', ...home }];
+        for (const subpage of findSubpages(home.$, home.url, maxPages - 1)) {
+            progress(`${company.scrap_nom} - ${subpage.type}`);
+            try {
+                const page = await fetchPage(subpage.url, timeoutMs);
+                result.site_pages.push({ type: subpage.type, url: subpage.url, statut: page ? 'ok' : 'ignoree' });
+                if (page) pages.push({ type: subpage.type, ...page });
+            } catch (error) {
+                // Page absente (404 sur un chemin usuel) ou en erreur : les autres pages suffisent.
+                result.site_pages.push({ type: subpage.type, url: subpage.url, statut: error.message });
+            }
+        }
+
+        const extracted = pages.map(page => ({ page, contacts: extractContacts(page.$) }));
+        for (const { page, contacts } of extracted) {
+            collect(emails, contacts.emails, page.url);
+            collect(telephones, contacts.telephones, page.url);
+            collect(reseaux, contacts.reseaux, page.url);
+        }
+
+        // Les adresses du domaine de l'entreprise d'abord, puis les autres (hébergeur, agence...).
+        const ownDomain = (email) => (email.valeur.endsWith(`@${websiteDomain(website)}`) ? 0 : 1);
+        result.site_emails = [...emails.values()].sort((a, b) => ownDomain(a) - ownDomain(b));
+        result.site_telephones = [...telephones.values()];
+        result.site_reseaux = [...reseaux.values()].sort((a, b) => socialRank(a) - socialRank(b));
+
+        // Le SIREN des mentions légales, de préférence à celui d'une autre page.
+        const legal = extracted.find(({ page, contacts }) => page.type === 'mentions' && contacts.sirens.length > 0)
+            ?? extracted.find(({ contacts }) => contacts.sirens.length > 0);
+        if (legal) {
+            result.site_siren = legal.contacts.sirens[0];
+            result.site_siren_page = legal.page.url;
+            result.site_siren_concorde = company.sirene_siren ? company.sirene_siren === result.site_siren : null;
+        }
+        return { ...company, ...result };
+    },
+
+    fallback: (company, error) => ({ ...company, ...emptyResult(), site_erreur: error.message })
+};
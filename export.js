@@ -0,0 +1,420 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import chalk from 'chalk';
+import YAML from 'yaml';
+import { getStep } from './utils.js';
+import { NAF_LEVELS } from './naf.js';
+import { revenueGrowth } from './sirene.js';
+import { personId, websiteDomain } from './ids.js';
+import { dedupePeople, formatName } from './people.js';
+import { FORMATS } from './exporters/index.js';
+
+/**
+ * Export des données finales selon un profil.
+ *
+ * Un profil décrit les fichiers à générer, leurs colonnes (en-tête, champ lu, transformations) et le
+ * format de sortie, pour exporter les mêmes données vers HubSpot, Salesforce ou un outil d'analyse
+ * sans toucher au code. Il peut être intégré (`hubspot`, `analytique`), déclaré dans la `config`
+ * du scraper (`export.profiles`) ou dans un fichier `profiles/<nom>.yaml` (ou `.yml`, `.json`, `.js`).
+ *
+ * Un profil est un objet :
+ * - `format` (optionnel, défaut 'csv') : un format de `exporters/` (csv, jsonl, xlsx, parquet).
+ * - `csv` (optionnel) : options du format CSV (`delimiter`, `bom`, `encoding`).
+ * - `onlyMatched` (optionnel, défaut true) : n'exporte que les entreprises identifiées dans SIRENE.
+ * - `files` : les fichiers à générer, chacun `{ name, columns, each?, exclude?, filter? }` :
+ *   - `each` : champ tableau (ex: 'dirigeants') ou fonction → une ligne par élément au lieu d'une par entreprise ;
+ *   - `columns` : liste de colonnes, chacune :
+ *     - 'champ' : le champ tel quel, l'en-tête est son nom ;
+ *     - '*' : tous les champs (sauf ceux de `exclude`) ;
+ *     - `{ header, value, transform?, default? }` : `value` est un champ ('scrap_nom', 'parent.id' pour
+ *       l'entreprise d'une ligne `each`) ou une fonction `(ligne, { company, sourceName })` ;
+ *       `transform` un nom de `TRANSFORMS`, une liste de noms ou une fonction ;
+ *     - `{ column: 'naf_classe', header? }` : une colonne de `OPTIONAL_COMPANY_COLUMNS` ;
+ *     - `{ extraColumns: true }` : emplacement des colonnes demandées avec `--columns` (sinon, en fin de premier fichier).
+ *   - `filter` (optionnel, profils JS) : `(ligne, { company, sourceName })` → booléen.
+ */
+
+const PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'profiles');
+
+const DEFINITION_PARSERS = {
+    '.json': (content) => JSON.parse(content),
+    '.yaml': (content) => YAML.parse(content),
+    '.yml': (content) => YAML.parse(content)
+};
+
+export const DEFAULT_PROFILE = 'hubspot';
+
+function yesNo(value) {
+    if (value === true) return 'oui';
+    if (value === false) return 'non';
+    return '';
+}
+
+// Historique par année sur une seule cellule, ex: "2021: 12000000; 2022: 13500000".
+function formatHistory(history, field) {
+    return (history ?? [])
+        .filter(entry => entry[field] !== null && entry[field] !== undefined)
+        .map(entry => `${entry.annee}: ${entry[field]}`)
+        .join('; ');
+}
+
+/**
+ * Colonnes facultatives du fichier des entreprises, ajoutées avec `--columns` ou `config.csv.columns`
+ * (ou citées dans un profil avec `{ column }`). Chaque colonne lit sa valeur dans l'entreprise finale.
+ */
+export const OPTIONAL_COMPANY_COLUMNS = {
+    naf: { header: 'SIRENE - Code NAF', value: company => company.sirene_naf },
+    ...Object.fromEntries(Object.entries(NAF_LEVELS).flatMap(([level, label]) => [
+        [`naf_${level}`, { header: `SIRENE - NAF ${label.toLowerCase()}`, value: company => company[`sirene_naf_${level}`] }],
+        [`naf_${level}_libelle`, { header: `SIRENE - NAF ${label.toLowerCase()} (libellé)`, value: company => company[`sirene_naf_${level}_libelle`] }]
+    ])),
+    date_creation: { header: 'SIRENE - Date de création', value: company => company.sirene_date_creation },
+    forme_juridique_code: { header: 'SIRENE - Code forme juridique', value: company => company.sirene_forme_juridique_code },
+    forme_juridique: { header: 'SIRENE - Forme juridique', value: company => company.sirene_forme_juridique },
+    etablissements_ouverts: { header: 'SIRENE - Établissements ouverts', value: company => company.sirene_etablissements_ouverts },
+    ess: { header: 'SIRENE - ESS', value: company => yesNo(company.sirene_ess) },
+    association: { header: 'SIRENE - Association', value: company => yesNo(company.sirene_association) },
+    latitude: { header: 'SIRENE - Latitude siège', value: company => company.sirene_latitude },
+    longitude: { header: 'SIRENE - Longitude siège', value: company => company.sirene_longitude },
+    historique_ca: { header: 'SIRENE - Historique CA', value: company => formatHistory(company.sirene_finances, 'ca') },
+    historique_resultat: { header: 'SIRENE - Historique résultat net', value: company => formatHistory(company.sirene_finances, 'resultat_net') },
+    croissance_ca: { header: 'SIRENE - Croissance CA (%)', value: company => revenueGrowth(company.sirene_finances)?.taux },
+    croissance_ca_periode: { header: 'SIRENE - Période croissance CA', value: company => revenueGrowth(company.sirene_finances)?.periode }
+};
+
+/**
+ * Vérifie une liste de colonnes facultatives du fichier des entreprises.
+ * @param {Array<string>} columns - Les clés demandées (ex: ['naf', 'naf_classe_libelle']).
+ * @throws {Error} - Si une colonne est inconnue.
+ */
+export function validateCsvColumns(columns) {
+    const unknown = columns.filter(column => !OPTIONAL_COMPANY_COLUMNS[column]);
+    if (unknown.length > 0) {
+        throw new Error(`Colonne(s) CSV inconnue(s) : ${unknown.join(', ')} (disponibles : ${Object.keys(OPTIONAL_COMPANY_COLUMNS).join(', ')}).`);
+    }
+}
+
+const isText = (value) => typeof value === 'string';
+
+/**
+ * Transformations de valeur utilisables par nom dans un profil (`transform: 'upper'` ou `['trim', 'upper']`).
+ */
+export const TRANSFORMS = {
+    trim: value => isText(value) ? value.trim() : value,
+    upper: value => isText(value) ? value.toUpperCase() : value,
+    lower: value => isText(value) ? value.toLowerCase() : value,
+    title: value => isText(value) ? formatName(value) : value,
+    number: value => {
+        if (value === undefined || value === null || value === '') return '';
+        const number = Number(value);
+        return Number.isNaN(number) ? '' : number;
+    },
+    integer: value => {
+        const number = TRANSFORMS.number(value);
+        return number === '' ? '' : Math.round(number);
+    },
+    yesNo,
+    join: value => Array.isArray(value) ? value.join(', ') : value,
+    json: value => value === undefined ? '' : JSON.stringify(value),
+    domain: value => websiteDomain(value),
+    date: value => value ? String(value).slice(0, 10) : value // ISO : "2021-03-15T..." → "2021-03-15"
+};
+
+// Profil historique : les deux CSV au format d'import HubSpot.
+const HUBSPOT_PROFILE = {
+    format: 'csv',
+    files: [
+        {
+            name: 'entreprises',
+            columns: [
+                { header: 'Record ID Externe Entreprise', value: 'id' },
+                { header: 'Nom de l\'entreprise', value: 'scrap_nom' },
+                { header: 'Description', value: 'scrap_description' },
+                { header: 'Nom de domaine de l\'entreprise', value: 'domain' },
+                { header: 'URL du site web', value: 'scrap_website' },
+                { header: 'Page d\'entreprise LinkedIn', value: company => company.linkedinUrl !== 'ERREUR' ? company.linkedinUrl : '' },
+                { header: 'Numéro de téléphone', value: company => company.scrap_telephone || company.site_telephones?.[0]?.valeur },
+                { header: 'Ville', value: company => company.scrap_ville ?? company.sirene_ville },
+                { header: 'État/Région', value: 'sirene_region' },
+                { header: 'SIREN', value: 'sirene_siren' },
+                { header: 'SIRENE - Division activité', value: 'sirene_activite' },
+                { header: 'SIRENE - CA unité légale', value: 'sirene_ca' },
+                { header: 'SIRENE - Année CA unité légale', value: 'sirene_annee_ca' },
+                { header: 'SIRENE - Tranche effectifs unité légale', value: 'sirene_effectifs' },
+                { header: 'SIRENE - Année effectifs unité légales', value: 'sirene_annee_effectifs' },
+                { header: 'SIRENE - Région', value: 'sirene_region' },
+                { header: 'SIRENE - Dep', value: 'siren_departement_code' },
+                { header: 'SIRENE - Département', value: 'sirene_departement' },
+                { header: 'SIRENE - Ville', value: 'sirene_ville' },
+                { header: 'SIRENE - Adresse postale siège', value: 'sirene_adresse' },
+                { header: 'SIRENE - Score de rapprochement', value: 'sirene_match_score' },
+                { extraColumns: true },
+                // Sources où l'entreprise a été trouvée (plusieurs après un `merge`)
+                { header: 'Source Scraping Entreprise', value: (company, { sourceName }) => (company.sources ?? [sourceName]).join(', ') }
+            ]
+        },
+        {
+            name: 'dirigeants',
+            // Normalisation idempotente : les données enrichies avant la normalisation des personnes sont aussi dédoublonnées.
+            each: company => dedupePeople(company.dirigeants ?? []),
+            columns: [
+                // Assure que chaque dirigeant a un ID stable, même ceux venant du scraper sans enrichissement SIRENE
+                { header: 'ID', value: (person, { company }) => person.id || personId(company.id || company.scrap_lien || company.scrap_nom, person) },
+                { header: 'Prénom', value: 'prenom' },
+                { header: 'Nom', value: 'nom' },
+                { header: 'Fonction', value: 'fonction' },
+                { header: 'Entreprise', value: (person, { company }) => person.entreprise || company.scrap_nom },
+                { header: 'ID Entreprise', value: (person, { company }) => person.idEntreprise || company.id || '' },
+                { header: 'Rôle', value: 'role_libelle' },
+                { header: 'Niveau hiérarchique', value: 'niveau' }
+            ]
+        }
+    ]
+};
+
+// Profil d'analyse : tous les champs bruts, en Parquet.
+const ANALYTICS_PROFILE = {
+    format: 'parquet',
+    files: [
+        { name: 'entreprises', columns: ['*'], exclude: ['dirigeants'] },
+        { name: 'dirigeants', each: 'dirigeants', columns: ['*', { header: 'entreprise_id', value: 'parent.id' }] }
+    ]
+};
+
+export const BUILTIN_PROFILES = { hubspot: HUBSPOT_PROFILE, analytique: ANALYTICS_PROFILE };
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Cherche un profil dans le dossier /profiles (module JS, puis définitions JSON / YAML).
+ * @returns {Promise<object|null>}
+ */
+async function loadProfileFile(name) {
+    const modulePath = path.join(PROFILES_DIR, `${name}.js`);
+    if (await fileExists(modulePath)) {
+        return (await import(pathToFileURL(modulePath).href)).default;
+    }
+    for (const [extension, parse] of Object.entries(DEFINITION_PARSERS)) {
+        const definitionPath = path.join(PROFILES_DIR, `${name}${extension}`);
+        if (await fileExists(definitionPath)) {
+            return parse(await fs.readFile(definitionPath, 'utf-8'));
+        }
+    }
+    return null;
+}
+
+async function listProfileFiles() {
+    try {
+        return (await fs.readdir(PROFILES_DIR)).map(file => path.basename(file, path.extname(file)));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Vérifie la structure d'un profil, pour échouer avant d'écrire le moindre fichier.
+ * @throws {Error}
+ */
+function checkProfile(profile) {
+    const fail = (message) => { throw new Error(`Profil d'export "${profile.name}" invalide : ${message}`); };
+    if (profile.format && !FORMATS[profile.format]) {
+        fail(`format "${profile.format}" inconnu (disponibles : ${Object.keys(FORMATS).join(', ')}).`);
+    }
+    if (!Array.isArray(profile.files) || profile.files.length === 0) {
+        fail("`files` doit lister au moins un fichier.");
+    }
+    for (const file of profile.files) {
+        if (!file.name) fail("chaque fichier doit avoir un `name`.");
+        if (!Array.isArray(file.columns) || file.columns.length === 0) fail(`le fichier "${file.name}" n'a pas de colonnes.`);
+        for (const column of file.columns) {
+            if (column?.column && !OPTIONAL_COMPANY_COLUMNS[column.column]) {
+                fail(`colonne "${column.column}" inconnue (disponibles : ${Object.keys(OPTIONAL_COMPANY_COLUMNS).join(', ')}).`);
+            }
+            if (typeof column === 'object' && !column.column && !column.extraColumns && column.value === undefined) {
+                fail(`une colonne du fichier "${file.name}" n'a pas de \`value\`${column.header ? ` (${column.header})` : ''}.`);
+            }
+            const transforms = typeof column?.transform === 'function' ? [] : [].concat(column?.transform ?? []);
+            const unknown = transforms.filter(name => typeof name !== 'function' && !TRANSFORMS[name]);
+            if (unknown.length > 0) {
+                fail(`transformation(s) inconnue(s) : ${unknown.join(', ')} (disponibles : ${Object.keys(TRANSFORMS).join(', ')}).`);
+            }
+        }
+    }
+}
+
+/**
+ * Charge un profil d'export : `config.profiles` du scraper, puis dossier /profiles, puis profils intégrés.
+ * @param {string} name - Le nom du profil.
+ * @param {object} [config={}] - La section `export` de la config du scraper.
+ * @returns {Promise<object>} - Le profil vérifié, avec son `name`.
+ * @throws {Error} - Si le profil est inconnu ou invalide.
+ */
+export async function loadExportProfile(name, config = {}) {
+    const definition = config.profiles?.[name] ?? await loadProfileFile(name) ?? BUILTIN_PROFILES[name];
+    if (!definition) {
+        const available = [...new Set([...Object.keys(config.profiles ?? {}), ...await listProfileFiles(), ...Object.keys(BUILTIN_PROFILES)])];
+        throw new Error(`Profil d'export inconnu : "${name}" (disponibles : ${available.join(', ')}).`);
+    }
+    const profile = { ...definition, name };
+    checkProfile(profile);
+    return profile;
+}
+
+const readPath = (record, fieldPath) => fieldPath.split('.').reduce((value, key) => value?.[key], record);
+
+// Forme complète d'une colonne (les raccourcis 'champ' et { column } sont développés).
+function normalizeColumn(spec) {
+    if (typeof spec === 'string') {
+        return spec === '*' ? { all: true } : { header: spec, value: spec };
+    }
+    if (spec.column) {
+        const optional = OPTIONAL_COMPANY_COLUMNS[spec.column];
+        return { ...spec, header: spec.header ?? optional.header, value: (row, { company }) => optional.value(company) };
+    }
+    return { ...spec, header: spec.header ?? (typeof spec.value === 'string' ? spec.value : '') };
+}
+
+/**
+ * Développe les colonnes d'un fichier : '*' devient un champ par clé rencontrée dans les lignes
+ * et `{ extraColumns }` les colonnes facultatives demandées.
+ */
+function expandColumns(file, rows, extraColumns) {
+    const extra = extraColumns.map(column => normalizeColumn({ column }));
+    const columns = file.columns.map(normalizeColumn);
+    if (extra.length > 0 && !columns.some(column => column.extraColumns)) {
+        columns.push({ extraColumns: true });
+    }
+
+    const excluded = new Set(file.exclude ?? []);
+    return columns.flatMap(column => {
+        if (column.extraColumns) return extra;
+        if (!column.all) return [column];
+        const fields = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(field => !excluded.has(field));
+        return fields.map(field => ({ header: field, value: field }));
+    });
+}
+
+function columnValue(column, row, context) {
+    let value;
+    if (typeof column.value === 'function') {
+        value = column.value(row, context);
+    } else if (column.value.startsWith('parent.')) {
+        value = readPath(context.company, column.value.slice('parent.'.length));
+    } else {
+        value = readPath(row, column.value);
+    }
+
+    const transforms = typeof column.transform === 'function' ? [column.transform] : [].concat(column.transform ?? []);
+    for (const transform of transforms) {
+        value = (typeof transform === 'function' ? transform : TRANSFORMS[transform])(value, context);
+    }
+    if ((value === undefined || value === null || value === '') && column.default !== undefined) {
+        value = column.default;
+    }
+    return value;
+}
+
+/**
+ * Construit la table d'un fichier du profil : une ligne par entreprise, ou par élément de `each`.
+ * @returns {{headers: Array<string>, rows: Array<Array>}}
+ */
+function buildTable(companies, file, extraColumns, sourceName) {
+    const lines = companies.flatMap(company => {
+        const rows = !file.each ? [company]
+            : typeof file.each === 'function' ? file.each(company) : readPath(company, file.each);
+        return (Array.isArray(rows) ? rows : []).map(row => ({ row, context: { company, sourceName } }));
+    }).filter(({ row, context }) => !file.filter || file.filter(row, context));
+
+    const columns = expandColumns(file, lines.map(line => line.row), extraColumns);
+    return {
+        headers: columns.map(column => column.header),
+        rows: lines.map(({ row, context }) => columns.map(column => columnValue(column, row, context)))
+    };
+}
+
+/**
+ * Charge le profil et le format d'un export sans rien écrire. La CLI l'appelle au lancement : une faute
+ * de frappe dans `--profile` échoue tout de suite, et non à l'étape `csv` après tout le scraping.
+ * @param {object} [options={}] - `profile`, `format` et `config` (voir `exportData`).
+ * @returns {Promise<{profile: object, format: object}>}
+ * @throws {Error} - Si le profil ou le format est inconnu ou invalide.
+ */
+export async function resolveExport(options = {}) {
+    const config = options.config ?? {};
+    const profile = await loadExportProfile(options.profile ?? config.profile ?? DEFAULT_PROFILE, config);
+    const formatName = options.format ?? config.format ?? profile.format ?? 'csv';
+    const format = FORMATS[formatName];
+    if (!format) {
+        throw new Error(`Format d'export inconnu : "${formatName}" (disponibles : ${Object.keys(FORMATS).join(', ')}).`);
+    }
+    format.checkOptions?.(profile[format.name] ?? {});
+    return { profile, format };
+}
+
+/**
+ * Exporte les données finales d'une source selon un profil (un fichier par entrée de `files`).
+ * @param {string} sourceName - Le nom de la source (ex: 'french_fab').
+ * @param {boolean} [isTestMode=false] - Indique si on est en mode test.
+ * @param {object} [options={}]
+ * @param {string} [options.input='final'] - L'étape à exporter (ex: 'enriched' si LinkedIn est ignoré).
+ * @param {string} [options.profile] - Le profil (défaut : `config.profile`, sinon 'hubspot').
+ * @param {string} [options.format] - Le format, prioritaire sur celui du profil.
+ * @param {boolean} [options.onlyMatched] - N'exporte que les entreprises identifiées dans SIRENE (défaut : celui du profil, sinon true).
+ * @param {string} [options.outputDir] - Le dossier de sortie (défaut : data/<source> ou data/test).
+ * @param {Array<string>} [options.columns=[]] - Colonnes facultatives à ajouter (voir `OPTIONAL_COMPANY_COLUMNS`).
+ * @param {object} [options.config] - La section `export` de la config du scraper (`profile`, `format`, `profiles`).
+ * @throws {Error} - Si un fichier n'a pas pu être écrit (après avoir tenté tous les autres).
+ */
+export async function exportData(sourceName, isTestMode = false, options = {}) {
+    const { profile, format } = await resolveExport(options);
+
+    const extraColumns = options.columns ?? [];
+    validateCsvColumns(extraColumns);
+
+    console.log(chalk.blue(`🔄 Export des données finales (profil ${profile.name}, format ${format.name})...`));
+
+    const inputData = await getStep(sourceName, options.input ?? 'final', isTestMode);
+    // L'étape "enriched" contient aussi les placeholders des entreprises non trouvées : on les écarte.
+    const onlyMatched = options.onlyMatched ?? profile.onlyMatched ?? true;
+    const finalData = onlyMatched === false ? inputData : inputData.filter(company => company.sirene_siren);
+    if (!finalData || finalData.length === 0) {
+        console.log(chalk.yellow("Aucune donnée finale à exporter."));
+        return;
+    }
+
+    // Définir le dossier de sortie en fonction du mode (test ou prod)
+    const outputDir = options.outputDir
+        ? path.resolve(process.cwd(), options.outputDir)
+        : path.join(process.cwd(), 'data', isTestMode ? 'test' : sourceName);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const failed = [];
+    for (const [index, file] of profile.files.entries()) {
+        const fileName = `${file.name}${isTestMode ? '.test' : ''}.${format.extension}`;
+        // Les colonnes de --columns portent sur les entreprises : elles vont dans le premier fichier.
+        const table = buildTable(finalData, file, index === 0 ? extraColumns : [], sourceName);
+        if (table.rows.length === 0) {
+            console.log(chalk.yellow(`🟡 Aucune ligne pour "${file.name}", le fichier ${fileName} n'a pas été créé.`));
+            continue;
+        }
+        const outputPath = path.join(outputDir, fileName);
+        try {
+            await format.write(outputPath, table, profile[format.name] ?? {});
+            console.log(chalk.green(`✅ Fichier ${fileName} généré avec succès (${table.rows.length} lignes) : ${outputPath}`));
+        } catch (error) {
+            console.error(chalk.red(`❌ Erreur lors de la génération de ${fileName}:`), error);
+            failed.push(fileName);
+        }
+    }
+    if (failed.length > 0) {
+        throw new Error(`Export incomplet : ${failed.join(', ')} non généré(s).`);
+    }
+}
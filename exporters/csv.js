@@ -0,0 +1,50 @@
+import fs from 'fs/promises';
+import iconv from 'iconv-lite';
+import { stringify } from 'csv-stringify/sync';
+
+// Encodages pouvant commencer par une marque d'ordre des octets (BOM).
+const BOM_ENCODINGS = ['utf8', 'utf-8', 'utf16le', 'utf-16le', 'ucs2'];
+
+/**
+ * Convertit une valeur en texte de cellule : tableau → "a, b", objet → JSON, vide → ''.
+ * @param {*} value
+ * @returns {string|number|boolean}
+ */
+export function cellText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(cellText).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Vérifie les options CSV d'un profil.
+ * @throws {Error} - Si l'encodage est inconnu ou incompatible avec le BOM.
+ */
+function checkOptions({ encoding = 'utf-8', bom = false } = {}) {
+    if (!iconv.encodingExists(encoding)) {
+        throw new Error(`Encodage CSV inconnu : "${encoding}" (ex: utf-8, utf-16le, windows-1252).`);
+    }
+    if (bom && !BOM_ENCODINGS.includes(encoding.toLowerCase())) {
+        throw new Error(`Le BOM n'est possible qu'en UTF-8 ou UTF-16 (encodage demandé : "${encoding}").`);
+    }
+}
+
+/**
+ * Format CSV. Options (`csv` du profil) : `delimiter` (défaut ','), `bom` (défaut false),
+ * `encoding` (défaut 'utf-8'). Pour Excel en français : `{ delimiter: ';', bom: true }`.
+ */
+export default {
+    name: 'csv',
+    extension: 'csv',
+    checkOptions,
+
+    async write(filePath, { headers, rows }, options = {}) {
+        checkOptions(options);
+        const content = stringify([headers, ...rows.map(row => row.map(cellText))], {
+            delimiter: options.delimiter ?? ','
+        });
+        const text = options.bom ? `\ufeff${content}` : content;
+        await fs.writeFile(filePath, iconv.encode(text, options.encoding ?? 'utf-8'));
+    }
+};
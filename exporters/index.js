@@ -0,0 +1,16 @@
+import csv from './csv.js';
+import jsonl from './jsonl.js';
+import xlsx from './xlsx.js';
+import parquet from './parquet.js';
+
+/**
+ * Formats d'export.
+ *
+ * Un format est un objet :
+ * - `name` : identifiant (`format` du profil, option `--format`).
+ * - `extension` : extension des fichiers générés.
+ * - `write(filePath, table, options)` : écrit la table `{headers, rows}` (lignes = tableaux de valeurs brutes,
+ *   dans l'ordre des en-têtes). `options` = la section du profil qui porte le nom du format (ex: `csv`).
+ * - `checkOptions(options)` (optionnel) : vérifie ces options avant l'export.
+ */
+export const FORMATS = { csv, jsonl, xlsx, parquet };
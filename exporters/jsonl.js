@@ -0,0 +1,15 @@
+import fs from 'fs/promises';
+
+/**
+ * Format JSONL : un objet par ligne, avec les en-têtes du profil comme clés.
+ * Les valeurs sont écrites telles quelles (tableaux et objets compris).
+ */
+export default {
+    name: 'jsonl',
+    extension: 'jsonl',
+
+    async write(filePath, { headers, rows }) {
+        const lines = rows.map(row => JSON.stringify(Object.fromEntries(headers.map((header, index) => [header, row[index] ?? null]))));
+        await fs.writeFile(filePath, lines.join('\n') + (lines.length > 0 ? '\n' : ''), 'utf-8');
+    }
+};
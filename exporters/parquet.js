@@ -0,0 +1,48 @@
+import parquet from 'parquetjs-lite';
+
+/**
+ * Déduit le type Parquet d'une colonne à partir de ses valeurs non vides :
+ * entiers → INT64, nombres → DOUBLE, booléens → BOOLEAN, sinon texte (UTF8).
+ */
+function columnType(values) {
+    const present = values.filter(value => value !== undefined && value !== null && value !== '');
+    if (present.length === 0) return 'UTF8';
+    if (present.every(value => typeof value === 'boolean')) return 'BOOLEAN';
+    if (present.every(value => Number.isSafeInteger(value))) return 'INT64';
+    if (present.every(value => typeof value === 'number' && Number.isFinite(value))) return 'DOUBLE';
+    return 'UTF8';
+}
+
+function toParquetValue(value, type) {
+    if (value === undefined || value === null || value === '') return null;
+    if (type !== 'UTF8') return value;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Format Parquet, pour l'analyse (DuckDB, pandas, Spark...). Le schéma est déduit des valeurs ;
+ * les tableaux et objets sont écrits en JSON. Toutes les colonnes sont optionnelles.
+ */
+export default {
+    name: 'parquet',
+    extension: 'parquet',
+
+    async write(filePath, { headers, rows }) {
+        const types = headers.map((header, index) => columnType(rows.map(row => row[index])));
+        const schema = new parquet.ParquetSchema(Object.fromEntries(headers.map((header, index) => [header, { type: types[index], optional: true }])));
+
+        const writer = await parquet.ParquetWriter.openFile(schema, filePath);
+        try {
+            for (const row of rows) {
+                const record = {};
+                headers.forEach((header, index) => {
+                    const value = toParquetValue(row[index], types[index]);
+                    if (value !== null) record[header] = value;
+                });
+                await writer.appendRow(record);
+            }
+        } finally {
+            await writer.close();
+        }
+    }
+};
@@ -0,0 +1,19 @@
+import writeXlsxFile from 'write-excel-file/node';
+import { cellText } from './csv.js';
+
+/**
+ * Format Excel (.xlsx) : une feuille par fichier, en-têtes sur la première ligne.
+ * Les nombres et booléens gardent leur type ; une cellule vide reste vide.
+ */
+export default {
+    name: 'xlsx',
+    extension: 'xlsx',
+
+    async write(filePath, { headers, rows }) {
+        const cell = (value) => {
+            const text = cellText(value);
+            return text === '' ? null : text;
+        };
+        await writeXlsxFile([headers, ...rows.map(row => row.map(cell))]).toFile(filePath);
+    }
+};
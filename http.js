@@ -0,0 +1,164 @@
+import nodeFetch from 'node-fetch';
+import { cached } from './cache.js';
+
+/**
+ * Point d'accès unique au réseau pour les scrapers et l'enrichissement.
+ * Passer par ce module (plutôt qu'importer `node-fetch` directement) permet de remplacer
+ * l'implémentation, par exemple pour rejouer des fixtures enregistrées hors ligne, et de
+ * partager la même politique de retry (`fetchWithRetry`, `fetchJson`).
+ */
+
+let fetchImplementation = nodeFetch;
+
+/**
+ * Même signature que `fetch` : délègue à l'implémentation courante.
+ * @param {string|URL} url - L'URL à appeler.
+ * @param {object} [options] - Les options de la requête (method, headers, body...).
+ * @returns {Promise<import('node-fetch').Response>}
+ */
+export function fetch(url, options) {
+    return fetchImplementation(url, options);
+}
+
+/**
+ * Remplace l'implémentation de `fetch` (ex: mock de test). Sans argument, rétablit `node-fetch`.
+ * @param {Function} [implementation] - La nouvelle implémentation.
+ * @returns {Function} - L'implémentation précédente, pour pouvoir la restaurer.
+ */
+export function setFetchImplementation(implementation) {
+    const previous = fetchImplementation;
+    fetchImplementation = implementation ?? nodeFetch;
+    return previous;
+}
+
+// Codes HTTP pour lesquels une nouvelle tentative a une chance d'aboutir.
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Erreurs réseau (codes système) considérées comme passagères.
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET'];
+
+const DEFAULT_RETRY_POLICY = {
+    retries: 3, // Nombre de nouvelles tentatives après le premier échec
+    baseDelayMs: 500, // Délai de base, doublé à chaque tentative
+    maxDelayMs: 30000, // Plafond du délai entre deux tentatives (y compris Retry-After)
+    timeoutMs: 30000 // Durée maximale d'une requête
+};
+
+let retryPolicy = { ...DEFAULT_RETRY_POLICY };
+
+/**
+ * Erreur HTTP (réponse reçue avec un statut d'erreur), classée passagère ou définitive.
+ */
+export class HttpError extends Error {
+    constructor(response, url) {
+        super(`HTTP ${response.status} ${response.statusText} sur ${url}`);
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.url = url;
+        this.transient = TRANSIENT_STATUSES.includes(response.status);
+    }
+}
+
+/**
+ * Indique si une erreur est passagère (429, 5xx, timeout, coupure réseau) : l'élément concerné doit
+ * rester à retraiter au prochain run. Les autres erreurs (404, 400, parsing...) sont définitives.
+ * Une erreur peut se classer elle-même avec une propriété `transient` (ex: `HttpError`, `BrowserPageError`).
+ * @param {Error} error - L'erreur à classer.
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+    if (typeof error?.transient === 'boolean') return error.transient;
+    if (error?.name === 'AbortError' || error?.type === 'aborted' || error?.type === 'request-timeout') return true;
+    const code = error?.code ?? error?.errno ?? error?.cause?.code;
+    return TRANSIENT_NETWORK_CODES.includes(code);
+}
+
+/**
+ * Modifie la politique de retry par défaut (ex: depuis la CLI ou la config du scraper).
+ * @param {object} [policy={}] - `retries`, `baseDelayMs`, `maxDelayMs`, `timeoutMs`.
+ */
+export function configureHttp(policy = {}) {
+    const defined = Object.fromEntries(Object.entries(policy).filter(([, value]) => value !== undefined));
+    retryPolicy = { ...DEFAULT_RETRY_POLICY, ...defined };
+}
+
+/**
+ * Lit l'en-tête Retry-After (en secondes ou en date HTTP).
+ * @returns {number|null} - Le délai demandé en ms, ou null s'il est absent ou illisible.
+ */
+function parseRetryAfter(response) {
+    const header = response?.headers?.get('retry-after');
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Backoff exponentiel avec "full jitter" : un délai aléatoire entre 0 et base * 2^tentative.
+ */
+function backoffDelay(attempt, policy) {
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * `fetch` avec timeout, nouvelles tentatives sur les erreurs passagères et respect de Retry-After.
+ * Une réponse en erreur (statut non 2xx) lève une `HttpError` une fois les tentatives épuisées.
+ * @param {string|URL} url - L'URL à appeler.
+ * @param {object} [options={}] - Les options de `fetch`, plus `retry` pour surcharger la politique.
+ * @returns {Promise<import('node-fetch').Response>} - Une réponse `ok`.
+ */
+export async function fetchWithRetry(url, options = {}) {
+    const { retry, ...fetchOptions } = options;
+    const policy = { ...retryPolicy, ...retry };
+
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let error;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+
+        try {
+            response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+            if (response.ok) return response;
+            error = new HttpError(response, String(url));
+        } catch (fetchError) {
+            error = fetchError;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (attempt >= policy.retries || !isTransientError(error)) {
+            throw error;
+        }
+        const retryAfter = parseRetryAfter(response);
+        await wait(Math.min(policy.maxDelayMs, retryAfter ?? backoffDelay(attempt, policy)));
+    }
+}
+
+/**
+ * Raccourci pour une API JSON : `fetchWithRetry` puis décodage du corps.
+ * @param {string|URL} url - L'URL à appeler.
+ * @param {object} [options={}] - Les options de `fetchWithRetry`, plus `cache` : le nom de l'endpoint
+ *   (ex: 'sirene') pour mettre la réponse en cache sur disque (voir `cache.js`).
+ * @returns {Promise<any>}
+ */
+export async function fetchJson(url, options = {}) {
+    const { cache, ...fetchOptions } = options;
+    const request = async () => {
+        const response = await fetchWithRetry(url, {
+            ...fetchOptions,
+            headers: { "Accept": "application/json", ...fetchOptions.headers }
+        });
+        return response.json();
+    };
+    return cache ? cached(cache, String(url), request) : request();
+}
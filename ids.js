@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { getStorage } from './storage/index.js';
+
+/**
+ * Identifiants stables des entreprises (`ENT-…`) et des personnes (`PER-…`).
+ *
+ * Un identifiant est dérivé d'un hash de clés stables (SIREN, domaine, lien, nom normalisé + source)
+ * plutôt que d'un compteur : il ne dépend ni de l'ordre ni du contenu des autres éléments. Le registre
+ * persistant (`_registre/ids`, via le backend de stockage) associe chaque clé à l'identifiant attribué,
+ * pour qu'une entreprise garde le même identifiant d'un run à l'autre et d'une source à l'autre, même
+ * si elle est d'abord vue sans SIREN puis rapprochée de SIRENE.
+ */
+
+const REGISTRY_SOURCE = '_registre';
+const REGISTRY_STEP = 'ids';
+
+// 12 caractères hexadécimaux (48 bits) : collision improbable même sur des centaines de milliers d'éléments.
+const HASH_LENGTH = 12;
+
+function hashId(prefix, key) {
+    return `${prefix}-${crypto.createHash('sha1').update(key).digest('hex').slice(0, HASH_LENGTH).toUpperCase()}`;
+}
+
+// Domaines partagés par des entreprises sans rapport (réseaux sociaux, hébergeurs, annuaires) :
+// ils ne peuvent pas servir de clé. Leurs sous-domaines non plus (ex: 'acme.wixsite.com').
+const SHARED_DOMAINS = [
+    'facebook.com', 'linkedin.com', 'instagram.com', 'twitter.com', 'x.com', 'youtube.com', 'tiktok.com',
+    'google.com', 'business.site', 'wixsite.com', 'wordpress.com', 'blogspot.com', 'jimdo.com', 'jimdofree.com',
+    'webnode.fr', 'webnode.com', 'over-blog.com', 'e-monsite.com', 'site-solocal.com', 'pagesjaunes.fr',
+    'societe.com', 'linktr.ee'
+];
+
+/**
+ * @param {string} domain - Un domaine (voir `websiteDomain`).
+ * @returns {boolean} - true si le domaine est partagé par des entreprises sans rapport (voir `SHARED_DOMAINS`).
+ */
+export function isSharedDomain(domain) {
+    return SHARED_DOMAINS.some(shared => domain === shared || domain.endsWith(`.${shared}`));
+}
+
+/**
+ * Normalise une partie de clé : minuscules, sans accents ni ponctuation, espaces simples.
+ */
+function normalizeKeyPart(value) {
+    return String(value ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Extrait le domaine d'un site web, sans protocole ni "www.".
+ * @param {string} website - L'URL du site (ex: 'https://www.acme.fr/contact').
+ * @returns {string} - Le domaine (ex: 'acme.fr'), ou '' si absent.
+ */
+export function websiteDomain(website) {
+    if (!website) return '';
+    return String(website).replace(/^(https?:\/\/)?(www\.)?/i, '').split(/[/?#]/)[0].toLowerCase();
+}
+
+/**
+ * Liste les clés d'une entreprise, de la plus fiable à la moins fiable.
+ * @param {object} company
+ * @param {string} [company.siren] - Le SIREN, s'il est connu.
+ * @param {string} [company.domain] - Le domaine du site web.
+ * @param {string} [company.lien] - Le lien de la fiche dans la source.
+ * @param {string} [company.nom] - Le nom de l'entreprise.
+ * @param {string} [sourceName] - La source, pour qualifier la clé par nom (deux homonymes de sources différentes restent distincts).
+ * @returns {Array<string>}
+ */
+export function companyKeys({ siren, domain, lien, nom } = {}, sourceName = '') {
+    const keys = [];
+    if (siren) keys.push(`siren:${String(siren).replace(/\s/g, '')}`);
+    if (domain && !isSharedDomain(domain.toLowerCase())) keys.push(`domaine:${domain.toLowerCase()}`);
+    if (lien) keys.push(`lien:${lien}`);
+    const name = normalizeKeyPart(nom);
+    if (name) keys.push(`nom:${sourceName}:${name}`);
+    return keys;
+}
+
+/**
+ * Calcule l'identifiant d'une personne à partir de l'identifiant de son entreprise et de son nom
+ * (ou, à défaut, de son email). Comme l'identifiant de l'entreprise est stable, celui de la personne l'est aussi.
+ * @param {string} companyId - L'identifiant (ou une clé stable) de l'entreprise.
+ * @param {object} person - La personne (`prenom`, `nom`, `email`...).
+ * @returns {string} - L'identifiant `PER-…`.
+ */
+export function personId(companyId, person) {
+    const name = [person.prenom, person.nom].map(normalizeKeyPart).filter(Boolean).join(' ');
+    const identity = name || normalizeKeyPart(person.email) || JSON.stringify(person);
+    return hashId('PER', `${companyId}|${identity}`);
+}
+
+/**
+ * @param {string} id - Un identifiant d'entreprise.
+ * @returns {boolean} - true pour un ancien identifiant séquentiel (`ENT-00001`), numéroté par source : le même
+ *   identifiant désigne des entreprises différentes d'une source à l'autre.
+ */
+export function isLegacyId(id) {
+    return /^ENT-\d+$/.test(id) && id.length !== 'ENT-'.length + HASH_LENGTH;
+}
+
+/**
+ * Crée un registre d'identifiants à partir d'entrées `{key, id}` déjà enregistrées.
+ * Les nouvelles associations sont gardées en attente jusqu'à `flush()`.
+ * @param {Array<{key: string, id: string}>} [entries=[]]
+ * @param {function(Array): Promise<void>} [persist] - Sauvegarde des nouvelles entrées.
+ */
+export function createIdRegistry(entries = [], persist = async () => {}) {
+    const ids = new Map();
+    const sirenOf = new Map(); // id → SIREN, pour ne pas rattacher deux SIREN différents au même identifiant
+    const usedIds = new Set();
+    let pending = [];
+
+    const remember = (key, id) => {
+        if (ids.has(key)) return false;
+        ids.set(key, id);
+        usedIds.add(id);
+        if (key.startsWith('siren:')) sirenOf.set(id, key);
+        return true;
+    };
+    for (const entry of entries) remember(entry.key, entry.id);
+
+    /**
+     * Associe des clés à un identifiant (sans écraser une association existante).
+     */
+    const register = (keys, id) => {
+        for (const key of keys) {
+            if (remember(key, id)) pending.push({ key, id });
+        }
+        return id;
+    };
+
+    return {
+        register,
+
+        /**
+         * Renvoie l'identifiant d'une entreprise : celui déjà associé à l'une de ses clés, sinon un nouvel
+         * identifiant dérivé de sa clé la plus fiable. Une entreprise avec un SIREN ne reprend pas
+         * l'identifiant d'une autre entreprise déjà rapprochée d'un SIREN différent (ex: filiales d'un même site).
+         * Le domaine seul ne suffit pas : il ne rattache qu'une entreprise avec SIREN à un identifiant attribué
+         * sans SIREN (même entreprise vue d'abord dans une autre source, pas encore rapprochée).
+         * @param {object} company - Voir `companyKeys`.
+         * @param {string} [sourceName]
+         * @returns {string} - L'identifiant `ENT-…`, ou '' si l'entreprise n'a aucune clé.
+         */
+        companyId(company, sourceName) {
+            const keys = companyKeys(company, sourceName);
+            if (keys.length === 0) return '';
+
+            const sirenKey = keys[0].startsWith('siren:') ? keys[0] : null;
+            const accepts = (key, candidate) => {
+                if (!candidate) return false;
+                const candidateSiren = sirenOf.get(candidate);
+                if (sirenKey && candidateSiren && candidateSiren !== sirenKey) return false;
+                if (key.startsWith('domaine:')) return Boolean(sirenKey) && !candidateSiren;
+                return true;
+            };
+            let id = keys.map(key => ids.get(key)).find((candidate, index) => accepts(keys[index], candidate));
+            if (!id) {
+                id = hashId('ENT', keys[0]);
+                // Collision de hash (ou identifiant repris d'une autre entité) : on dérive à nouveau.
+                for (let attempt = 2; usedIds.has(id); attempt++) {
+                    id = hashId('ENT', `${keys[0]}#${attempt}`);
+                }
+            }
+            return register(keys, id);
+        },
+
+        /**
+         * Sauvegarde les associations créées depuis le dernier appel.
+         */
+        async flush() {
+            if (pending.length === 0) return;
+            const batch = pending;
+            pending = [];
+            await persist(batch);
+        }
+    };
+}
+
+/**
+ * Charge le registre persistant des identifiants.
+ * Une erreur de lecture est propagée : continuer avec un registre vide attribuerait de nouveaux identifiants.
+ * @param {boolean} [isTestMode=false] - Le mode test utilise un registre séparé.
+ */
+export async function loadIdRegistry(isTestMode = false) {
+    const storage = getStorage();
+    const entries = await storage.readStep(REGISTRY_SOURCE, REGISTRY_STEP, isTestMode);
+    return createIdRegistry(entries, (batch) => storage.appendStep(REGISTRY_SOURCE, REGISTRY_STEP, batch, isTestMode));
+}
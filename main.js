@@ -1,93 +1,433 @@
-import fs from 'fs/promises';
-import path from 'path';
-import pipeline from './pipeline.js';
-import enrich from './enrich.js';
+import { parseArgs } from 'util';
 import chalk from 'chalk';
-import { convertToCsv } from './utils.js';
+import { getStep } from './utils.js';
+import { validateCsvColumns, resolveExport } from './export.js';
+import { FORMATS } from './exporters/index.js';
+import { buildPipeline, DEFAULT_PIPELINE } from './steps.js';
+import { configureStorage, getStorage, STORAGE_BACKENDS } from './storage/index.js';
+import { loadScraper, listScrapers, ScraperNotFoundError } from './scraperLoader.js';
+import { runScraperTests } from './scraperTests.js';
+import { refreshSource } from './refresh.js';
+import { configureHttp } from './http.js';
+import { configureCache } from './cache.js';
+import { configureBrowser, closeBrowserPool } from './browser.js';
+import { parseFilterValue } from './sirene.js';
+import { mergeSources } from './merge.js';
+
+const USAGE = `
+Utilisation : node main.js <commande> [arguments] [options]
+
+Commandes :
+  run <source>               Lance le pipeline complet (reprend là où il s'était arrêté)
+  step <étape> <source>      Lance une seule étape (par défaut : {steps})
+  list                       Liste les scrapers disponibles
+  status <source>            Affiche l'avancement de chaque étape
+  reset <source>             Supprime les données de la source (toutes, ou à partir de --from)
+  export <source>            Exporte les données finales (CSV HubSpot par défaut, voir --profile)
+  merge <sources...>         Fusionne et dédoublonne plusieurs sources (data/fusion)
+  test [sources...]          Teste les scrapers sur leurs fixtures (--record pour les capturer)
+
+Options :
+  --test                     Mode test (jeu de données réduit, fichiers dans data/test)
+  --refresh                  Avec run : recrawle la liste et ne retraite que les entreprises modifiées
+  --limit <n>                Ne scrape que les n premières URLs de la liste
+  --concurrency <n>          Nombre de pages de détail scrapées en parallèle
+  --retries <n>              Nouvelles tentatives sur erreur HTTP passagère (défaut : 3)
+  --skip <étapes>            Ignore des étapes (séparées par des virgules), leurs suivantes lisent leur entrée
+  --skip-linkedin            Raccourci pour --skip linkedin (l'export part des données enrichies)
+  --out <dossier>            Dossier de sortie des exports
+  --columns <colonnes>       Colonnes facultatives du CSV entreprises, séparées par des virgules (ex: naf,naf_classe_libelle)
+  --profile <nom>            Profil d'export : hubspot, analytique ou un profil de config / profiles/ (défaut : hubspot)
+  --format <format>          Format d'export : ${Object.keys(FORMATS).join(', ')} (défaut : celui du profil)
+  --precedence <sources>     Avec merge : sources prioritaires en cas de conflit (défaut : ordre des arguments)
+  --from <étape>             Avec reset : première étape à effacer
+  --storage <backend>        Backend de stockage : ${STORAGE_BACKENDS.join(', ')}
+  --storage-path <fichier>   Chemin de la base SQLite
+  --coverage-threshold <x>   Baisse de couverture tolérée, entre 0 et 1 (défaut : 0.2)
+  --strict-coverage          Arrête le pipeline si la couverture d'un champ chute
+  --match-threshold <x>      Score minimum pour rapprocher une entreprise de SIRENE, entre 0 et 1 (défaut : 0.6)
+  --no-cache                 N'utilise pas le cache des réponses SIRENE et geo (data/cache)
+  --refresh-cache            Ignore le cache existant et le remplace par des réponses fraîches
+  --sirene-filter <f=v>      Filtre de recherche SIRENE, répétable (ex: caMin=2000000, departements=69,38)
+  --record                   Avec test : capture de nouvelles fixtures (réseau nécessaire)
+  -h, --help                 Affiche cette aide
+
+Exemples :
+  node main.js run frenchFab --concurrency 4
+  node main.js run frenchFab --refresh
+  node main.js step sirene frenchFab --sirene-filter caMin=2000000 --sirene-filter naf=25,28
+  node main.js reset frenchFab --from sirene
+  node main.js export frenchFab --profile analytique --format jsonl
+  node main.js merge frenchFab annuaireXyz --precedence annuaireXyz
+`;
+
+const CLI_OPTIONS = {
+    'test': { type: 'boolean' },
+    'limit': { type: 'string' },
+    'concurrency': { type: 'string' },
+    'retries': { type: 'string' },
+    'skip': { type: 'string' },
+    'skip-linkedin': { type: 'boolean' },
+    'out': { type: 'string' },
+    'columns': { type: 'string' },
+    'profile': { type: 'string' },
+    'format': { type: 'string' },
+    'precedence': { type: 'string' },
+    'from': { type: 'string' },
+    'storage': { type: 'string' },
+    'storage-path': { type: 'string' },
+    'coverage-threshold': { type: 'string' },
+    'strict-coverage': { type: 'boolean' },
+    'match-threshold': { type: 'string' },
+    'sirene-filter': { type: 'string', multiple: true },
+    'no-cache': { type: 'boolean' },
+    'refresh-cache': { type: 'boolean' },
+    'record': { type: 'boolean' },
+    'refresh': { type: 'boolean' },
+    'help': { type: 'boolean', short: 'h' }
+};
 
 /**
- * Fonction principale qui orchestre l'ensemble du pipeline de scraping.
+ * Erreur d'utilisation de la ligne de commande : affichée sans stack trace, suivie de l'aide.
  */
-async function main() {
-    // 1. Récupérer les arguments de la ligne de commande
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+function parseNumberOption(flag, value, { min, max, integer = true } = {}) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (Number.isNaN(number) || (integer && !Number.isInteger(number)) || (min !== undefined && number < min) || (max !== undefined && number > max)) {
+        const bounds = max !== undefined ? `entre ${min} et ${max}` : `supérieur ou égal à ${min}`;
+        throw new CliError(`${flag} doit être un ${integer ? 'entier' : 'nombre'} ${bounds} (reçu : "${value}").`);
+    }
+    return number;
+}
+
+function parseColumns(value) {
+    if (value === undefined) return undefined;
+    const columns = value.split(',').map(column => column.trim()).filter(Boolean);
+    try {
+        validateCsvColumns(columns);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+    return columns;
+}
+
+function parseSireneFilters(entries = []) {
+    const filters = {};
+    for (const entry of entries) {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            throw new CliError(`--sirene-filter attend la forme filtre=valeur (reçu : "${entry}").`);
+        }
+        const name = entry.slice(0, separator).trim();
+        try {
+            filters[name] = parseFilterValue(name, entry.slice(separator + 1).trim());
+        } catch (error) {
+            throw new CliError(error.message);
+        }
+    }
+    return filters;
+}
+
+function findStep(steps, name) {
+    const step = steps.find(s => s.name === name);
+    if (!step) {
+        throw new CliError(`Étape inconnue : "${name}" (pipeline de la source : ${steps.map(s => s.name).join(', ')}).`);
+    }
+    return step;
+}
+
+/**
+ * Analyse la ligne de commande.
+ * Pour rester compatible avec l'ancien usage (`node main.js frenchFab [test]`), un premier argument
+ * qui n'est pas une commande connue est traité comme `run <source>`.
+ * @returns {{command: string, args: Array<string>, options: object}}
+ */
+function parseCli(argv) {
     // On ignore le premier argument si c'est '--' (ajouté par npm)
-    let args = process.argv.slice(2);
-    if (args[0] === '--') args = args.slice(1);
+    const rawArgs = argv[0] === '--' ? argv.slice(1) : argv;
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: rawArgs, options: CLI_OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+    const { values } = parsed;
+    let [command, ...args] = parsed.positionals;
+    let isTestMode = values.test ?? false;
+
+    if (command && !COMMANDS[command]) {
+        args = [command, ...args];
+        command = 'run';
+        if (args[1] === 'test') {
+            isTestMode = true;
+            args = [args[0]];
+        }
+    }
+
+    if (values.format && !FORMATS[values.format]) {
+        throw new CliError(`Format d'export inconnu : "${values.format}" (disponibles : ${Object.keys(FORMATS).join(', ')}).`);
+    }
+    if (values.storage && !STORAGE_BACKENDS.includes(values.storage)) {
+        throw new CliError(`Backend de stockage inconnu : "${values.storage}" (disponibles : ${STORAGE_BACKENDS.join(', ')}).`);
+    }
+
+    const options = {
+        isTestMode,
+        limit: parseNumberOption('--limit', values.limit, { min: 1 }),
+        concurrency: parseNumberOption('--concurrency', values.concurrency, { min: 1 }),
+        retries: parseNumberOption('--retries', values.retries, { min: 0 }),
+        skip: [
+            ...(values.skip ? values.skip.split(',').map(name => name.trim()).filter(Boolean) : []),
+            ...(values['skip-linkedin'] ? ['linkedin'] : [])
+        ],
+        out: values.out,
+        columns: parseColumns(values.columns),
+        profile: values.profile,
+        format: values.format,
+        precedence: values.precedence ? values.precedence.split(',').map(name => name.trim()).filter(Boolean) : [],
+        from: values.from,
+        storage: values.storage,
+        storagePath: values['storage-path'],
+        coverageThreshold: parseNumberOption('--coverage-threshold', values['coverage-threshold'], { min: 0, max: 1, integer: false }),
+        strictCoverage: values['strict-coverage'],
+        matchThreshold: parseNumberOption('--match-threshold', values['match-threshold'], { min: 0, max: 1, integer: false }),
+        sireneFilters: parseSireneFilters(values['sirene-filter']),
+        noCache: values['no-cache'] ?? false,
+        refreshCache: values['refresh-cache'] ?? false,
+        record: values.record ?? false,
+        refresh: values.refresh ?? false
+    };
+
+    return { command: values.help || !command ? 'help' : command, args, options };
+}
+
+/**
+ * Vérifie le profil et le format d'export avant de lancer quoi que ce soit (voir `resolveExport`).
+ * @param {object} exportOptions - `profile`, `format` et `config` (section `export` du scraper).
+ */
+async function checkExport(exportOptions) {
+    try {
+        await resolveExport(exportOptions);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+}
+
+/**
+ * Vérifie l'export des étapes `csv` à exécuter, avec les mêmes options que l'étape elle-même.
+ */
+async function checkExportSteps(ctx, steps) {
+    for (const step of steps.filter(step => step.name === 'csv')) {
+        await checkExport({ ...ctx.options, ...step.options, config: ctx.scraper.config?.export });
+    }
+}
 
-    // Le premier argument est le nom de la source.
-    const sourceName = args[0];
-    // Le deuxième argument (optionnel) est le mode ('test').
-    const isTestMode = args[1] === 'test';
+/**
+ * Charge le scraper d'une source, construit son pipeline et configure le stockage (CLI, sinon config du scraper).
+ * @returns {Promise<{sourceName: string, scraper: object, steps: Array<object>, isTestMode: boolean, options: object}>} - Le contexte passé aux étapes.
+ */
+async function prepareSource(sourceName, options) {
+    if (!sourceName) {
+        throw new CliError("Vous devez spécifier un nom de source.");
+    }
+    const scraper = await loadScraper(sourceName);
+    const steps = buildPipeline(scraper, options.skip);
+
+    // Le backend de stockage vient de la CLI, sinon de la config du scraper (fichiers JSONL par défaut).
+    await configureStorage({
+        backend: options.storage ?? scraper.config?.storage ?? 'file',
+        path: options.storagePath ?? scraper.config?.storagePath
+    });
+
+    // Politique de retry HTTP : config du scraper, la CLI ayant le dernier mot sur le nombre de tentatives.
+    configureHttp({ ...scraper.config?.http, retries: options.retries ?? scraper.config?.http?.retries });
+
+    // Cache des API : config du scraper, désactivable ou rafraîchissable pour un run.
+    configureCache({
+        ...scraper.config?.cache,
+        enabled: options.noCache ? false : scraper.config?.cache?.enabled,
+        refresh: options.refreshCache || undefined
+    });
+
+    // Navigateur partagé (enrichissement LinkedIn, scrapers avec rendu JS) : lancé seulement s'il sert.
+    await configureBrowser(scraper.config?.browser);
+
+    return { sourceName, scraper, steps, isTestMode: options.isTestMode, options };
+}
 
-    if (isTestMode) {
+async function runCommand(args, options) {
+    const ctx = await prepareSource(args[0], options);
+    await checkExportSteps(ctx, ctx.steps);
+
+    if (ctx.isTestMode) {
         console.log("🧪 Mode test activé.");
         console.log("-> Nettoyage des anciens fichiers de test et logs...");
-        const testDir = path.join(process.cwd(), 'data', 'test');
-        try {
-            // Tente de lire le contenu du dossier. S'il n'existe pas, l'erreur est capturée.
-            const files = await fs.readdir(testDir);
-            const unlinkPromises = [];
-            for (const file of files) {
-                // Supprime les fichiers de données et de log de test
-                if ((file.startsWith(`${sourceName}-`) && file.endsWith('.test.json')) || file === `errors-${sourceName}.log`) {
-                    unlinkPromises.push(fs.unlink(path.join(testDir, file)));
-                }
-            }
-            if (unlinkPromises.length > 0) {
-                await Promise.all(unlinkPromises);
-            }
-            console.log("-> Nettoyage terminé.");
-        } catch (err) {
-            // Si le dossier n'existe pas (ENOENT), on ignore l'erreur. Sinon, on l'affiche.
-            if (err.code !== 'ENOENT') {
-                console.error("❌ Erreur lors du nettoyage des fichiers de test:", err);
-            }
+        await getStorage().clearTestData(ctx.sourceName);
+        console.log("-> Nettoyage terminé.");
+    }
+
+    console.log(chalk.bgBlueBright.black(`\n\n--- 🚀 DÉMARRAGE DU PIPELINE COMPLET POUR LA SOURCE : ${ctx.sourceName} ---\n`));
+
+    if (ctx.options.skip.length > 0) {
+        console.log(chalk.gray(`-> Étapes ignorées : ${ctx.options.skip.join(', ')}`));
+    }
+    if (ctx.options.refresh) {
+        await refreshSource(ctx);
+    }
+    for (const step of ctx.steps) {
+        await step.run(ctx, step);
+    }
+
+    console.log(chalk.bgBlueBright.black(`\n\n--- ✅ PIPELINE TERMINÉ AVEC SUCCÈS POUR LA SOURCE : ${ctx.sourceName} ---\n`));
+}
+
+async function stepCommand(args, options) {
+    const [stepName, sourceName] = args;
+    if (!stepName) {
+        throw new CliError("Vous devez spécifier une étape.");
+    }
+    const ctx = await prepareSource(sourceName, options);
+    const step = findStep(ctx.steps, stepName);
+    await checkExportSteps(ctx, [step]);
+    await step.run(ctx, step);
+}
+
+async function listCommand() {
+    const scrapers = await listScrapers();
+    console.log(chalk.blue(`${scrapers.length} scraper(s) disponible(s) :`));
+    for (const scraper of scrapers) {
+        console.log(`  ${scraper.name.padEnd(25)} ${chalk.gray(scraper.type)}`);
+    }
+}
+
+async function statusCommand(args, options) {
+    const ctx = await prepareSource(args[0], options);
+    console.log(chalk.blue(`Source : ${ctx.sourceName}${ctx.isTestMode ? ' (mode test)' : ''} | stockage : ${getStorage().name}`));
+
+    for (const step of ctx.steps) {
+        const inputs = step.inputs.length > 0 ? chalk.gray(` ← ${step.inputs.join(', ')}`) : '';
+        if (step.outputs.length === 0) {
+            console.log(`  ${step.name.padEnd(12)} ${chalk.gray('(pas de données stockées)')}${inputs}`);
+            continue;
+        }
+        for (const output of step.outputs) {
+            const items = await getStep(ctx.sourceName, output, ctx.isTestMode);
+            const color = items.length === 0 ? chalk.gray : chalk.green;
+            console.log(`  ${step.name.padEnd(12)} ${output.padEnd(12)} ${color(String(items.length).padStart(6))}${inputs}`);
         }
     }
+}
 
-    // 2. Vérifier si un nom de source a été fourni
-    if (!sourceName) {
-        console.error("❌ Erreur : Vous devez spécifier un nom de source.");
-        console.log("Exemple : node main.js frenchFab");
-        process.exit(1); // Arrête le script avec un code d'erreur
+async function resetCommand(args, options) {
+    const ctx = await prepareSource(args[0], options);
+    const fromIndex = options.from ? ctx.steps.indexOf(findStep(ctx.steps, options.from)) : 0;
+    const stepsToReset = ctx.steps.slice(fromIndex).filter(step => !step.keepOnReset);
+
+    for (const step of stepsToReset) {
+        for (const output of step.outputs) {
+            await getStorage().deleteStep(ctx.sourceName, output, ctx.isTestMode);
+            console.log(`-> Données de l'étape "${step.name}" (${output}) supprimées.`);
+        }
     }
+    console.log(chalk.green(`✅ Source ${ctx.sourceName} réinitialisée${options.from ? ` à partir de l'étape "${options.from}"` : ''}.`));
+}
 
-    console.log(chalk.bgBlueBright.black(`\n\n--- 🚀 DÉMARRAGE DU PIPELINE COMPLET POUR LA SOURCE : ${sourceName} ---\n`));
+async function exportCommand(args, options) {
+    const ctx = await prepareSource(args[0], options);
+    const step = findStep(ctx.steps, 'csv');
+    await checkExportSteps(ctx, [step]);
+    await step.run(ctx, step);
+}
 
-    try {
-        // 3. Importer dynamiquement le module scraper correspondant
-        const scraperPath = `./scrapers/${sourceName}.js`;
-        const scraperModule = await import(scraperPath);
-        const scraper = scraperModule.default; // On récupère l'objet exporté par "export default"
+async function mergeCommand(args, options) {
+    const sourceNames = [...new Set(args)];
+    if (sourceNames.length < 2) {
+        throw new CliError("Vous devez spécifier au moins deux sources à fusionner.");
+    }
+    const unknown = options.precedence.filter(name => !sourceNames.includes(name));
+    if (unknown.length > 0) {
+        throw new CliError(`--precedence cite des sources absentes de la fusion : ${unknown.join(', ')}.`);
+    }
+    // Sources citées par --precedence d'abord, puis les autres dans l'ordre des arguments.
+    const ordered = [...options.precedence, ...sourceNames.filter(name => !options.precedence.includes(name))];
 
-        // 4. Lancer le pipeline avec la configuration dynamique
-        // Étape 1 : Récupère la liste des URLs
-        await pipeline.runGetListStep(sourceName, scraper, isTestMode);
+    const sources = [];
+    let firstScraper;
+    for (const sourceName of ordered) {
+        const scraper = await loadScraper(sourceName);
+        firstScraper ??= scraper;
+        // On fusionne ce que la source exporterait : l'entrée de son étape "csv" (ex: "enriched" avec --skip linkedin).
+        const csvStep = buildPipeline(scraper, options.skip).find(step => step.name === 'csv');
+        sources.push({ sourceName, step: csvStep?.inputs[0] ?? 'final' });
+    }
 
-        // Étape 2 : Scrape les détails de chaque page
-        await pipeline.runGetDetailsStep(sourceName, scraper, isTestMode);
+    await checkExport({ profile: options.profile, format: options.format, config: firstScraper.config?.export });
 
-        // Étape 3a : Enrichit avec l'API SIRENE
-        await enrich.enrichWithSirene(sourceName, isTestMode);
+    await configureStorage({
+        backend: options.storage ?? firstScraper.config?.storage ?? 'file',
+        path: options.storagePath ?? firstScraper.config?.storagePath
+    });
+    await mergeSources(sources, options.isTestMode, {
+        outputDir: options.out,
+        columns: options.columns,
+        profile: options.profile,
+        format: options.format,
+        config: firstScraper.config?.export
+    });
+}
 
-        // Étape 3b : Enrichit avec les URLs LinkedIn
-        await enrich.enrichWithLinkedIn(sourceName, isTestMode);
+async function testCommand(args, options) {
+    const passed = await runScraperTests(args, { record: options.record });
+    if (!passed) process.exitCode = 1;
+}
 
-        // Étape 4 : Convertit les données finales en fichiers CSV
-        await convertToCsv(sourceName, isTestMode);
+async function helpCommand() {
+    console.log(USAGE.replace('{steps}', DEFAULT_PIPELINE.map(entry => entry.name ?? entry).join(', ')));
+}
 
-        console.log(chalk.bgBlueBright.black(`\n\n--- ✅ PIPELINE TERMINÉ AVEC SUCCÈS POUR LA SOURCE : ${sourceName} ---\n`));
+const COMMANDS = {
+    run: runCommand,
+    step: stepCommand,
+    list: listCommand,
+    status: statusCommand,
+    reset: resetCommand,
+    export: exportCommand,
+    merge: mergeCommand,
+    test: testCommand,
+    help: helpCommand
+};
 
+/**
+ * Point d'entrée : analyse la ligne de commande et lance la commande demandée.
+ */
+async function main() {
+    try {
+        const cli = parseCli(process.argv.slice(2));
+        await COMMANDS[cli.command](cli.args, cli.options);
     } catch (error) {
-        if (error.code === 'ERR_MODULE_NOT_FOUND') {
+        if (error instanceof CliError) {
+            console.error(`❌ Erreur : ${error.message}`);
+            console.log("Voir l'aide : node main.js --help");
+        } else if (error instanceof ScraperNotFoundError) {
             console.error(chalk.red.bold(`\n\n--- ❌ ERREUR CRITIQUE ---`));
-            console.error(`Le scraper pour la source "${sourceName}" n'a pas été trouvé.`);
-            console.error(`Veuillez vérifier qu'un fichier nommé "${sourceName}.js" existe bien dans le dossier "/scrapers".`);
+            console.error(`Le scraper pour la source "${error.sourceName}" n'a pas été trouvé.`);
+            console.error(`Veuillez vérifier qu'un fichier "${error.sourceName}.js" (ou "${error.sourceName}.json", "${error.sourceName}.yaml") existe bien dans le dossier "/scrapers".`);
         } else {
             console.error(chalk.red.bold("\n\n--- ❌ UNE ERREUR CRITIQUE A ARRÊTÉ LE PIPELINE ---"));
             console.error(error);
         }
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        await closeBrowserPool();
+        await getStorage().close();
     }
 }
 
@@ -95,8 +435,6 @@ main();
 
 // --- PISTES D'AMÉLIORATION FUTURES ---
 
-// TODO - Parallélisation: Intégrer une librairie comme 'p-limit' pour paralléliser les étapes longues (ex: runGetDetailsStep, enrichWithLinkedIn) afin d'accélérer le traitement des grosses sources.
-
 // TODO - Gestion des Proxies: Ajouter un système de rotation de proxies (via un service externe) dans les requêtes fetch et Puppeteer pour éviter les blocages d'IP lors de scraping à grande échelle.
 
 // TODO - Gestion des CAPTCHAs: Implémenter une solution de résolution de CAPTCHA (ex: 2Captcha, Anti-Captcha) pour gérer les blocages sur les sites qui en présentent (notamment Google/DuckDuckGo lors de la recherche LinkedIn).
@@ -0,0 +1,173 @@
+/**
+ * Rapprochement entre une entreprise scrapée et les résultats de l'API SIRENE.
+ * Les noms sont normalisés (casse, accents, formes juridiques) puis chaque candidat reçoit un
+ * score entre 0 et 1 combinant similarité du nom, code postal, ville et nom de domaine du site.
+ */
+
+// Seuil de confiance par défaut en dessous duquel aucun candidat n'est retenu.
+export const DEFAULT_MATCH_THRESHOLD = 0.6;
+
+// Poids de chaque critère. Un critère absent côté scraping (ex: pas de code postal) est ignoré
+// et le score est renormalisé sur les critères disponibles.
+const WEIGHTS = {
+    name: 0.6,
+    postalCode: 0.15,
+    city: 0.1,
+    domain: 0.15
+};
+
+// Formes juridiques et mentions qui n'aident pas à distinguer deux entreprises.
+const LEGAL_FORMS = [
+    'sa', 'sas', 'sasu', 'sarl', 'eurl', 'snc', 'sca', 'scs', 'sci', 'scop', 'scic', 'sem', 'gie', 'sel', 'selarl', 'selas',
+    'societe', 'anonyme', 'par', 'actions', 'simplifiee', 'unipersonnelle', 'responsabilite', 'limitee', 'ste', 'ets', 'etablissements',
+    'france', 'group', 'groupe', 'holding', 'sa.', 'cie', 'compagnie'
+];
+
+const STOP_WORDS = ['le', 'la', 'les', 'l', 'de', 'des', 'du', 'd', 'et', 'en', 'a', 'au', 'aux', 'the', 'and', 'of'];
+
+/**
+ * Normalise un nom d'entreprise : minuscules, sans accents ni ponctuation, sans forme juridique.
+ * @param {string} name - Le nom brut.
+ * @returns {string} - Les mots significatifs séparés par des espaces.
+ */
+export function normalizeName(name) {
+    const words = String(name ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' et ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(Boolean);
+
+    const significant = words.filter(word => !LEGAL_FORMS.includes(word) && !STOP_WORDS.includes(word));
+    // Si le nom n'est composé que de mots ignorés (ex: "Groupe SA"), on garde les mots d'origine.
+    return (significant.length > 0 ? significant : words).join(' ');
+}
+
+function bigrams(text) {
+    const compact = text.replace(/ /g, '');
+    const result = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const bigram = compact.slice(i, i + 2);
+        result.set(bigram, (result.get(bigram) ?? 0) + 1);
+    }
+    return result;
+}
+
+/**
+ * Similarité de Sørensen-Dice sur les bigrammes de caractères (robuste aux fautes et aux espaces).
+ */
+function diceCoefficient(a, b) {
+    if (a === b) return 1;
+    const bigramsA = bigrams(a);
+    const bigramsB = bigrams(b);
+    let sizeA = 0;
+    let sizeB = 0;
+    let intersection = 0;
+    bigramsA.forEach(count => { sizeA += count; });
+    bigramsB.forEach(count => { sizeB += count; });
+    for (const [bigram, count] of bigramsA) {
+        intersection += Math.min(count, bigramsB.get(bigram) ?? 0);
+    }
+    return sizeA + sizeB === 0 ? 0 : (2 * intersection) / (sizeA + sizeB);
+}
+
+/**
+ * Proportion des mots du nom le plus court présents dans l'autre ("Acme" vs "Acme Industries").
+ */
+function tokenContainment(a, b) {
+    const tokensA = new Set(a.split(' ').filter(Boolean));
+    const tokensB = new Set(b.split(' ').filter(Boolean));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    const [smaller, larger] = tokensA.size <= tokensB.size ? [tokensA, tokensB] : [tokensB, tokensA];
+    const shared = [...smaller].filter(token => larger.has(token)).length;
+    // Moyenne avec la proportion côté nom long, pour ne pas confondre "Acme" avec "Acme Holding Services".
+    return (shared / smaller.size + shared / larger.size) / 2;
+}
+
+/**
+ * Similarité entre deux noms d'entreprise, entre 0 et 1.
+ * @param {string} a - Premier nom (brut ou normalisé).
+ * @param {string} b - Second nom (brut ou normalisé).
+ * @returns {number}
+ */
+export function nameSimilarity(a, b) {
+    const normalizedA = normalizeName(a);
+    const normalizedB = normalizeName(b);
+    if (!normalizedA || !normalizedB) return 0;
+    return Math.max(diceCoefficient(normalizedA, normalizedB), tokenContainment(normalizedA, normalizedB));
+}
+
+/**
+ * Extrait la partie distinctive d'un domaine ("https://www.acme-industries.fr/" → "acme industries").
+ */
+function domainLabel(website) {
+    try {
+        const url = new URL(website.includes('://') ? website : `https://${website}`);
+        const labels = url.hostname.replace(/^www\./, '').split('.');
+        return labels.slice(0, -1).join(' ').replace(/-/g, ' ');
+    } catch (e) {
+        return '';
+    }
+}
+
+// Codes postaux et communes du siège et des établissements correspondant à la recherche.
+function candidateLocations(candidate) {
+    return [candidate.siege, ...(candidate.matching_etablissements ?? [])].filter(Boolean);
+}
+
+/**
+ * Calcule le score d'un candidat SIRENE pour une entreprise scrapée.
+ * @param {object} company - L'entreprise scrapée (`nom`, `codePostal`, `ville`, `website`).
+ * @param {object} candidate - Un résultat de l'API recherche-entreprises.
+ * @returns {{score: number, criteria: object}} - Le score global et le détail par critère.
+ */
+export function scoreCandidate(company, candidate) {
+    const candidateNames = [candidate.nom_complet, candidate.nom_raison_sociale, candidate.sigle].filter(Boolean);
+    const locations = candidateLocations(candidate);
+    const criteria = {};
+
+    criteria.name = Math.max(0, ...candidateNames.map(name => nameSimilarity(company.nom, name)));
+
+    if (company.codePostal) {
+        criteria.postalCode = locations.some(location => location.code_postal === company.codePostal) ? 1 : 0;
+    }
+    if (company.ville) {
+        criteria.city = Math.max(0, ...locations.map(location => (location.libelle_commune ? nameSimilarity(company.ville, location.libelle_commune) : 0)));
+    }
+    const label = company.website ? domainLabel(company.website) : '';
+    if (label) {
+        criteria.domain = Math.max(0, ...candidateNames.map(name => nameSimilarity(label, name)));
+    }
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const [criterion, value] of Object.entries(criteria)) {
+        weightedSum += WEIGHTS[criterion] * value;
+        totalWeight += WEIGHTS[criterion];
+    }
+
+    const score = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    return { score: Math.round(score * 1000) / 1000, criteria };
+}
+
+/**
+ * Choisit le meilleur candidat SIRENE pour une entreprise, s'il dépasse le seuil de confiance.
+ * @param {object} company - L'entreprise scrapée.
+ * @param {Array<object>} candidates - Les résultats de l'API.
+ * @param {number} [threshold=DEFAULT_MATCH_THRESHOLD] - Score minimum pour retenir un candidat.
+ * @returns {{best: {candidate: object, score: number, criteria: object}|null, rejected: Array<{siren: string, nom: string, score: number}>}}
+ */
+export function selectBestMatch(company, candidates, threshold = DEFAULT_MATCH_THRESHOLD) {
+    const scored = candidates
+        .map(candidate => ({ candidate, ...scoreCandidate(company, candidate) }))
+        .sort((a, b) => b.score - a.score);
+
+    const best = scored[0] && scored[0].score >= threshold ? scored[0] : null;
+    const rejected = scored
+        .filter(entry => entry !== best)
+        .map(entry => ({ siren: entry.candidate.siren, nom: entry.candidate.nom_complet, score: entry.score }));
+
+    return { best, rejected };
+}
@@ -0,0 +1,168 @@
+import chalk from 'chalk';
+import { getStep, setStep } from './utils.js';
+import { exportData } from './export.js';
+import { websiteDomain, isSharedDomain } from './ids.js';
+import { dedupePeople } from './people.js';
+
+/**
+ * Fusion de plusieurs sources en une base d'entreprises dédoublonnée.
+ *
+ * Une même entreprise peut figurer dans plusieurs annuaires : les éléments finaux de chaque source sont
+ * regroupés par SIREN, puis domaine, puis nom (au mot près). Pour chaque champ, la valeur retenue est celle
+ * de la source prioritaire qui la renseigne ; la liste `sources` garde la trace des annuaires d'origine.
+ */
+
+// Nom sous lequel la fusion est stockée et exportée (data/fusion/...).
+export const MERGE_SOURCE = 'fusion';
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Domaine du site de l'entreprise, hors domaines partagés (réseaux sociaux, hébergeurs : voir `isSharedDomain`).
+function companyDomain(company) {
+    const domain = (company.domain || websiteDomain(company.scrap_website)).toLowerCase();
+    return domain && !isSharedDomain(domain) ? domain : '';
+}
+
+// Nom sans accents, casse ni ponctuation. Contrairement au rapprochement SIRENE, aucun mot n'est ignoré :
+// "Acme" et "Acme France" (ou "Acme Holding") sont souvent deux sociétés distinctes.
+function nameKey(name) {
+    return String(name ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Clés de dédoublonnage d'une entreprise, de la plus fiable à la moins fiable.
+ */
+function mergeKeys(company) {
+    const keys = [];
+    if (company.sirene_siren) keys.push(`siren:${company.sirene_siren}`);
+    const domain = companyDomain(company);
+    if (domain) keys.push(`domaine:${domain}`);
+    const name = nameKey(company.scrap_nom);
+    if (name) keys.push(`nom:${name}`);
+    return keys;
+}
+
+/**
+ * Indique si une entreprise peut rejoindre un groupe trouvé par l'une de ses clés : jamais si les SIREN
+ * diffèrent, et pas sur le seul nom si les domaines diffèrent.
+ */
+function canJoin(group, key, siren, domain) {
+    if (!group) return false;
+    if (siren && group.siren && group.siren !== siren) return false;
+    if (key.startsWith('nom:') && domain && group.domains.size > 0 && !group.domains.has(domain)) return false;
+    return true;
+}
+
+// Dirigeants de toutes les sources, sans doublon (voir `dedupePeople`), rattachés à l'entreprise fusionnée.
+function mergePeople(records, companyId) {
+    return dedupePeople(records.flatMap(record => record.dirigeants ?? []))
+        .map(person => ({ ...person, idEntreprise: companyId || person.idEntreprise }));
+}
+
+/**
+ * Fusionne les éléments d'un même groupe, triés par priorité de source.
+ * @returns {{record: object, conflicts: Array<string>}} - L'élément fusionné et les champs en conflit.
+ */
+function mergeGroup(entries) {
+    const merged = {};
+    const conflicts = [];
+    const fields = new Set(entries.flatMap(entry => Object.keys(entry.record)));
+    fields.delete('dirigeants');
+    for (const field of fields) {
+        const values = entries.map(entry => entry.record[field]).filter(value => !isEmpty(value));
+        if (values.length === 0) {
+            merged[field] = entries[0].record[field];
+            continue;
+        }
+        merged[field] = values[0];
+        if (values.some(value => !sameValue(value, values[0]))) conflicts.push(field);
+    }
+    merged.dirigeants = mergePeople(entries.map(entry => entry.record), merged.id);
+    merged.sources = [...new Set(entries.map(entry => entry.source))];
+    return { record: merged, conflicts };
+}
+
+/**
+ * Regroupe et fusionne les entreprises de plusieurs sources.
+ * Deux entreprises partageant un domaine ou un nom ne sont pas fusionnées si leurs SIREN diffèrent, ni deux
+ * entreprises de même nom dont les domaines diffèrent.
+ * @param {Array<{source: string, records: Array<object>}>} sources - Les éléments de chaque source, par priorité décroissante.
+ * @returns {{records: Array<object>, duplicates: number, conflicts: Map<string, number>}} - Les entreprises
+ *   fusionnées, le nombre de doublons absorbés et le nombre de conflits par champ.
+ */
+export function mergeCompanies(sources) {
+    const groups = [];
+    const groupByKey = new Map();
+
+    for (const { source, records } of sources) {
+        for (const record of records) {
+            const keys = mergeKeys(record);
+            const siren = record.sirene_siren || null;
+            const domain = companyDomain(record);
+            const group = keys
+                .map(key => groupByKey.get(key))
+                .find((candidate, index) => canJoin(candidate, keys[index], siren, domain));
+
+            if (group) {
+                group.entries.push({ source, record });
+                group.siren = group.siren ?? siren;
+            } else {
+                groups.push({ siren, domains: new Set(), entries: [{ source, record }] });
+            }
+            const target = group ?? groups[groups.length - 1];
+            if (domain) target.domains.add(domain);
+            for (const key of keys) {
+                if (!groupByKey.has(key)) groupByKey.set(key, target);
+            }
+        }
+    }
+
+    const conflicts = new Map();
+    const merged = groups.map(group => {
+        const result = mergeGroup(group.entries);
+        for (const field of result.conflicts) conflicts.set(field, (conflicts.get(field) ?? 0) + 1);
+        return result.record;
+    });
+    const total = sources.reduce((acc, { records }) => acc + records.length, 0);
+    return { records: merged, duplicates: total - merged.length, conflicts };
+}
+
+/**
+ * Fusionne les données finales de plusieurs sources, les sauvegarde dans la source `fusion`
+ * et l'exporte (profil et format au choix, comme `export`).
+ * @param {Array<{sourceName: string, step: string}>} sources - Les sources et l'étape à lire (celle exportée en CSV),
+ *   par priorité décroissante : en cas de conflit, la valeur de la première source qui la renseigne l'emporte.
+ * @param {boolean} [isTestMode=false] - Indique si on est en mode test.
+ * @param {object} [options={}] - Options d'export, transmises à `exportData` (`outputDir`, `columns`, `profile`, `format`...).
+ */
+export async function mergeSources(sources, isTestMode = false, options = {}) {
+    console.log(chalk.blue(`--- FUSION DES SOURCES : ${sources.map(source => source.sourceName).join(' > ')} ---`));
+
+    const loaded = [];
+    for (const { sourceName, step } of sources) {
+        const records = await getStep(sourceName, step, isTestMode);
+        console.log(`-> ${sourceName} : ${records.length} entreprise(s) (${step})`);
+        loaded.push({ source: sourceName, records });
+    }
+
+    const { records, duplicates, conflicts } = mergeCompanies(loaded);
+    console.log(`-> ${records.length} entreprise(s) après fusion, ${chalk.yellow(`${duplicates} doublon(s)`)} regroupé(s).`);
+    const multiSource = records.filter(record => record.sources.length > 1).length;
+    console.log(`-> ${multiSource} entreprise(s) présente(s) dans plusieurs sources.`);
+    if (conflicts.size > 0) {
+        const details = [...conflicts].sort((a, b) => b[1] - a[1]).map(([field, count]) => `${field} (${count})`);
+        console.log(chalk.gray(`-> Conflits résolus par priorité : ${details.join(', ')}`));
+    }
+
+    await setStep(MERGE_SOURCE, 'final', records, isTestMode);
+    await exportData(MERGE_SOURCE, isTestMode, { ...options, input: 'final' });
+    console.log(chalk.green(`✅ Fusion terminée : ${records.length} entreprise(s).`));
+}
@@ -0,0 +1,62 @@
+import codesNaf from '@socialgouv/codes-naf';
+import constants from './constants.js';
+
+/**
+ * Nomenclature d'activités française (NAF rév. 2), embarquée localement.
+ * Un code APE renvoyé par SIRENE ("62.01Z") se décompose en cinq niveaux :
+ * section (J), division (62), groupe (62.0), classe (62.01) et sous-classe (62.01Z).
+ */
+
+// Niveaux de la nomenclature, du plus large au plus fin, avec leur nom affichable.
+export const NAF_LEVELS = {
+    section: 'Section',
+    division: 'Division',
+    groupe: 'Groupe',
+    classe: 'Classe',
+    sous_classe: 'Sous-classe'
+};
+
+const LABELS = new Map(codesNaf.map(entry => [entry.id, entry.label]));
+
+/**
+ * Retrouve la section (lettre) d'une division NAF.
+ * @param {string} division - La division sur deux chiffres (ex: '62').
+ * @returns {string} - La lettre de section, ou '' si la division est inconnue.
+ */
+export function sectionOfDivision(division) {
+    const entry = Object.entries(constants.SECTIONS_NAF)
+        .find(([, section]) => division >= section.divisions[0] && division <= section.divisions[1]);
+    return entry?.[0] ?? '';
+}
+
+/**
+ * Décompose un code NAF et renvoie le code et le libellé de chaque niveau.
+ * Accepte "62.01Z", "6201Z" ou un code partiel ("62.0"). Un code hors NAF rév. 2
+ * (ex: ancienne nomenclature) garde ses codes mais sans libellé.
+ * @param {string} code - Le code NAF / APE.
+ * @returns {{code: string, section: string, section_libelle: string, division: string, division_libelle: string,
+ *   groupe: string, groupe_libelle: string, classe: string, classe_libelle: string, sous_classe: string, sous_classe_libelle: string}}
+ */
+export function resolveNaf(code) {
+    const result = { code: code ?? '' };
+    for (const level of Object.keys(NAF_LEVELS)) {
+        result[level] = '';
+        result[`${level}_libelle`] = '';
+    }
+
+    const match = /^(\d{2})(\d)?(\d)?([A-Z])?$/.exec(String(code ?? '').replace(/[\s.]/g, '').toUpperCase());
+    if (!match) return result;
+
+    const [, division, groupDigit, classDigit, letter] = match;
+    result.division = division;
+    if (groupDigit) result.groupe = `${division}.${groupDigit}`;
+    if (groupDigit && classDigit) result.classe = `${result.groupe}${classDigit}`;
+    if (result.classe && letter) result.sous_classe = `${result.classe}${letter}`;
+
+    result.section = sectionOfDivision(division);
+    result.section_libelle = constants.SECTIONS_NAF[result.section]?.libelle ?? '';
+    for (const level of ['division', 'groupe', 'classe', 'sous_classe']) {
+        result[`${level}_libelle`] = result[level] ? LABELS.get(result[level]) ?? '' : '';
+    }
+    return result;
+}
@@ -0,0 +1,141 @@
+import constants from './constants.js';
+
+/**
+ * Normalisation des personnes (dirigeants SIRENE et contacts scrapés).
+ *
+ * SIRENE renvoie les noms en majuscules et tous les prénoms d'état civil ("JEAN PIERRE MARIE"),
+ * alors que les annuaires donnent souvent "Jean Dupont" : sans normalisation, la même personne
+ * apparaît deux fois. Les fonctions brutes sont rattachées à la taxonomie `constants.ROLES`.
+ */
+
+// Particules laissées en minuscules après le premier mot d'un nom de famille ("De la Fontaine").
+const PARTICLES = ['de', 'du', 'des', 'la', 'le', 'd', 'van', 'von', 'der', 'den', 'di', 'da', 'del'];
+
+const stripAccents = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+/**
+ * Met un nom ou un prénom en casse de titre ("JEAN-PIERRE" → "Jean-Pierre", "DE LA FONTAINE" → "De la Fontaine").
+ * Un mot déjà en casse mixte ("McDonald") est conservé tel quel.
+ * @param {string} value - Le nom brut.
+ * @param {object} [options={}]
+ * @param {boolean} [options.particles=false] - Laisse les particules en minuscules (noms de famille).
+ * @returns {string}
+ */
+export function formatName(value, { particles = false } = {}) {
+    const words = String(value ?? '').trim().split(/\s+/).filter(Boolean);
+    return words.map((word, index) => {
+        const isMixedCase = word !== word.toUpperCase() && word !== word.toLowerCase();
+        if (isMixedCase) return word;
+        // Les séparateurs internes (tiret, apostrophe) sont conservés : "D'ALEMBERT" → "D'Alembert".
+        return word.split(/([-'’])/).map(part => {
+            if (part === '-' || part === "'" || part === '’') return part;
+            const isParticle = particles && index > 0 && PARTICLES.includes(part.toLowerCase());
+            return isParticle ? part.toLowerCase() : capitalize(part);
+        }).join('');
+    }).join(' ');
+}
+
+/**
+ * Sépare le premier prénom des prénoms suivants ("JEAN PIERRE MARIE" → "Jean", "Pierre Marie").
+ * Un prénom composé ("Jean-Pierre") reste entier.
+ * @param {string} prenoms - Les prénoms bruts (séparés par des espaces ou des virgules).
+ * @returns {{prenom: string, autres_prenoms: string}}
+ */
+export function splitGivenNames(prenoms) {
+    const [first = '', ...others] = String(prenoms ?? '').split(/[\s,]+/).filter(Boolean);
+    return { prenom: formatName(first), autres_prenoms: formatName(others.join(' ')) };
+}
+
+/**
+ * Rattache une fonction brute ("Directeur général délégué", "DRH"...) à la taxonomie des rôles.
+ * @param {string} fonction - La fonction (qualité SIRENE ou intitulé scrapé).
+ * @returns {{role: string, role_libelle: string, niveau: number, exclu: boolean}}
+ */
+export function classifyRole(fonction) {
+    const text = stripAccents(String(fonction ?? '')).toLowerCase().replace(/’/g, "'").trim();
+    const role = constants.ROLE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? 'autre';
+    const { libelle, niveau, exclu } = constants.ROLES[role];
+    return { role, role_libelle: libelle, niveau, exclu };
+}
+
+/**
+ * Normalise une personne : casse des noms, premier prénom séparé des suivants, rôle normalisé.
+ * Les autres champs (email, téléphone, identifiants...) sont conservés.
+ * @param {object} person - La personne (`prenom`, `nom`, `fonction`...).
+ * @returns {object}
+ */
+export function normalizePerson(person) {
+    const { prenom, autres_prenoms } = splitGivenNames(person.prenom);
+    const fonction = (person.fonction === 'null' || !person.fonction) ? '' : String(person.fonction).trim();
+    const { exclu, ...role } = classifyRole(fonction);
+    return {
+        ...person,
+        prenom,
+        autres_prenoms: [autres_prenoms, person.autres_prenoms].filter(Boolean).join(' '),
+        nom: formatName(person.nom, { particles: true }),
+        fonction,
+        ...role
+    };
+}
+
+/**
+ * Clé de dédoublonnage d'une personne normalisée : premier prénom et nom, sans accents ni casse.
+ * @returns {string} - La clé, ou '' si la personne n'a pas de nom.
+ */
+export function personKey(person) {
+    if (!person.nom) return '';
+    return stripAccents(`${person.prenom ?? ''}|${person.nom}`).toLowerCase().replace(/[^a-z|]+/g, '');
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Fusionne deux fiches d'une même personne : les champs vides sont complétés par la seconde,
+ * et la fonction retenue est celle du rôle le plus élevé.
+ */
+function mergePerson(kept, other) {
+    const merged = { ...kept };
+    for (const [field, value] of Object.entries(other)) {
+        if (isEmpty(merged[field]) && !isEmpty(value)) merged[field] = value;
+    }
+    if (other.fonction && (!kept.fonction || other.niveau < kept.niveau)) {
+        for (const field of ['fonction', 'role', 'role_libelle', 'niveau']) merged[field] = other[field];
+    }
+    return merged;
+}
+
+/**
+ * Normalise une liste de personnes et fusionne les doublons (même premier prénom et même nom),
+ * en gardant l'ordre de première apparition (ex: dirigeants SIRENE puis contacts du scraper).
+ * @param {Array<object>} people - Les personnes brutes.
+ * @returns {Array<object>}
+ */
+export function dedupePeople(people) {
+    const byKey = new Map();
+    const result = [];
+    for (const person of people.map(normalizePerson)) {
+        const key = personKey(person);
+        const index = key ? byKey.get(key) : undefined;
+        if (index === undefined) {
+            if (key) byKey.set(key, result.length);
+            result.push(person);
+        } else {
+            result[index] = mergePerson(result[index], person);
+        }
+    }
+    return result;
+}
+
+// Rôles écartés des dirigeants SIRENE par défaut (commissaires aux comptes, conseil de surveillance...).
+export const DEFAULT_EXCLUDED_ROLES = Object.keys(constants.ROLES).filter(role => constants.ROLES[role].exclu);
+
+/**
+ * Indique si le rôle d'une fonction SIRENE fait partie des rôles écartés.
+ * @param {string} fonction - La qualité SIRENE.
+ * @param {Array<string>} [excludedRoles] - Les rôles écartés (défaut : ceux marqués `exclu` dans `constants.ROLES`).
+ */
+export function isExcludedRole(fonction, excludedRoles = DEFAULT_EXCLUDED_ROLES) {
+    return excludedRoles.includes(classifyRole(fonction).role);
+}
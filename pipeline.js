@@ -1,17 +1,26 @@
-import { getStep, setStep, logError } from './utils.js';
+import { getStep, setStep, appendStep, logError, runWithConcurrency, createHostRateLimiter } from './utils.js';
 import cliProgress from 'cli-progress';
 import chalk from 'chalk';
+import { computeFieldCoverage, findCoverageDrops, formatRate, DEFAULT_MAX_DROP, DEFAULT_COVERAGE_WINDOW, DEFAULT_MIN_RECORDS } from './coverage.js';
+import { resolveSchema, validateRecord, quarantineEntry } from './schema.js';
+import { fetchList, fetchDetails } from './browserScraper.js';
+
+// Par défaut, une seule page de détail à la fois (comportement historique).
+const DEFAULT_CONCURRENCY = 1;
 
 /**
  * Étape 1 : Récupère la liste des URLs à scraper.
- * Ne s'exécute que si la liste n'a pas déjà été sauvegardée.
+ * Ne s'exécute que si la liste n'a pas déjà été sauvegardée (pour la recrawler : `run --refresh`).
  * @param {string} sourceName - Le nom de la source (ex: 'frenchFab').
  * @param {object} scraper - Le module scraper importé, doit contenir getList().
  * @param {boolean} isTestMode - Indique si on est en mode test.
+ * @param {object} [options={}] - Options d'exécution.
+ * @param {string} [options.output='urls'] - L'étape où sauvegarder la liste.
  */
-async function runGetListStep(sourceName, scraper, isTestMode = false) {
+async function runGetListStep(sourceName, scraper, isTestMode = false, options = {}) {
     console.log(chalk.blue("--- DÉBUT ÉTAPE 1: Récupération de la liste d'URLs ---"));
-    const existingUrls = await getStep(sourceName, "urls", isTestMode);
+    const output = options.output ?? "urls";
+    const existingUrls = await getStep(sourceName, output, isTestMode);
 
     if (existingUrls.length > 0) {
         console.log(`✅ Étape 1 déjà complétée. ${existingUrls.length} URLs trouvées.`);
@@ -19,43 +28,71 @@ async function runGetListStep(sourceName, scraper, isTestMode = false) {
     }
 
     console.log(`-> Lancement de la collecte des URLs pour ${sourceName}...`);
-    const newList = await scraper.getList(isTestMode);
-    await setStep(sourceName, "urls", newList, isTestMode);
+    const newList = await fetchList(scraper, isTestMode);
+    await setStep(sourceName, output, newList, isTestMode);
     console.log(`✅ Étape 1 terminée. ${newList.length} URLs sauvegardées.`);
 }
 
 /**
  * Étape 2 : Scrape les détails de chaque URL.
- * Reprend le travail là où il s'est arrêté.
+ * Reprend le travail là où il s'est arrêté. Les pages sont traitées par un pool de workers
+ * dont la taille vient de l'option `concurrency` (CLI), sinon de `scraper.config.concurrency`.
+ * Chaque fiche est validée et normalisée selon le schéma de la source (voir `schema.js`) :
+ * une fiche invalide est mise en quarantaine avec ses raisons au lieu d'être sauvegardée.
  * @param {string} sourceName - Le nom de la source (ex: 'frenchFab').
  * @param {object} scraper - Le module scraper importé, doit contenir getDetails().
  * @param {boolean} isTestMode - Indique si on est en mode test.
+ * @param {object} [options={}] - Options d'exécution.
+ * @param {number} [options.concurrency] - Nombre de pages scrapées en parallèle.
+ * @param {number} [options.limit] - Ne traite que les N premières URLs de la liste.
+ * @param {string} [options.input='urls'] - L'étape qui contient la liste à scraper.
+ * @param {string} [options.output='details'] - L'étape où sauvegarder les détails.
+ * @param {string} [options.quarantine='quarantine'] - L'étape où sauvegarder les fiches rejetées.
+ * @returns {Promise<Array<object>>} - Les fiches scrapées et sauvegardées pendant ce run (pour la couverture).
  */
-async function runGetDetailsStep(sourceName, scraper, isTestMode = false) {
+async function runGetDetailsStep(sourceName, scraper, isTestMode = false, options = {}) {
     console.log(chalk.blue("\n--- DÉBUT ÉTAPE 2: Scraping des pages de détail ---"));
-    const urlsToScrape = await getStep(sourceName, "urls", isTestMode);
-    const detailsAlreadyDone = await getStep(sourceName, "details", isTestMode);
+    const input = options.input ?? "urls";
+    const output = options.output ?? "details";
+    const quarantine = options.quarantine ?? "quarantine";
+    const schema = resolveSchema(scraper);
+    const allUrls = await getStep(sourceName, input, isTestMode);
+    const urlsToScrape = options.limit ? allUrls.slice(0, options.limit) : allUrls;
+    const detailsAlreadyDone = await getStep(sourceName, output, isTestMode);
+    // Les fiches en quarantaine comptent comme traitées : `reset --from details` les rescrape.
+    const quarantined = await getStep(sourceName, quarantine, isTestMode);
 
     // On utilise un Set pour une vérification ultra-rapide de ce qui a déjà été fait.
-    const doneLinks = new Set(detailsAlreadyDone.map(item => item.lien));
+    const doneLinks = new Set([...detailsAlreadyDone, ...quarantined].map(item => item.lien));
+    const remaining = urlsToScrape.filter(item => !doneLinks.has(item.lien));
+    const doneCount = urlsToScrape.length - remaining.length;
+
+    const concurrency = options.concurrency ?? scraper.config?.concurrency ?? DEFAULT_CONCURRENCY;
+    const waitForHost = createHostRateLimiter(scraper.config?.hostDelayMs ?? 0);
 
-    console.log(`-> Reprise du scraping. ${doneLinks.size}/${urlsToScrape.length} entreprises déjà traitées.`);
+    console.log(`-> Reprise du scraping. ${doneCount}/${urlsToScrape.length} entreprises déjà traitées (${concurrency} en parallèle).`);
 
     const progressBar = new cliProgress.SingleBar({
         format: '{bar} {percentage}% | {value}/{total} | {payload}'
     }, cliProgress.Presets.shades_classic);
 
-    progressBar.start(urlsToScrape.length, doneLinks.size);
+    progressBar.start(urlsToScrape.length, doneCount);
     progressBar.update({ payload: "Démarrage..." });
 
-    for (const item of urlsToScrape) {
-        if (doneLinks.has(item.lien)) {
-            continue;
-        }
+    // Les éléments en cours de traitement, affichés dans la barre de progression.
+    const inFlight = new Set();
+    const inFlightPayload = () => `En cours (${inFlight.size}): ${chalk.cyan([...inFlight].join(', '))}`;
+    let rejectedCount = 0;
+    const droppedByField = new Map();
+    const scraped = [];
+
+    await runWithConcurrency(remaining, concurrency, async (item) => {
+        inFlight.add(item.nom);
+        progressBar.update({ payload: inFlightPayload() });
 
         try {
-            progressBar.update({ payload: `Scraping de ${chalk.cyan(item.nom)}` });
-            const detailedData = await scraper.getDetails(item.lien);
+            await waitForHost(item.lien);
+            const detailedData = await fetchDetails(scraper, item.lien);
 
             // On fusionne les données initiales (nom, lien) avec les détails
             const completeData = {
@@ -64,20 +101,111 @@ async function runGetDetailsStep(sourceName, scraper, isTestMode = false) {
                 ...detailedData
             };
 
-            detailsAlreadyDone.push(completeData);
-            await setStep(sourceName, "details", detailsAlreadyDone, isTestMode); // Sauvegarde à chaque succès
+            const { record, valid, reasons, dropped } = validateRecord(completeData, schema);
+            for (const { field } of dropped) droppedByField.set(field, (droppedByField.get(field) ?? 0) + 1);
+            if (!valid) {
+                rejectedCount++;
+                await appendStep(sourceName, quarantine, [quarantineEntry(completeData, reasons)], isTestMode);
+                inFlight.delete(item.nom);
+                progressBar.increment({ payload: chalk.yellow(`QUARANTAINE ${item.nom}`) });
+                return;
+            }
 
-            progressBar.increment();
+            // Sauvegarde à chaque succès, en ajout seul : l'ordre de fin des workers n'a pas d'importance.
+            await appendStep(sourceName, output, [record], isTestMode);
+            scraped.push(record);
+
+            inFlight.delete(item.nom);
+            progressBar.increment({ payload: inFlightPayload() });
 
         } catch (error) {
-            progressBar.update({ payload: chalk.red(`ERREUR sur ${item.nom}`) });
+            inFlight.delete(item.nom);
+            progressBar.increment({ payload: chalk.red(`ERREUR sur ${item.nom}`) });
             await logError(sourceName, 'details', error, { nom: item.nom, lien: item.lien }, isTestMode);
-            progressBar.increment();
         }
-    }
+    });
+
     progressBar.stop();
+    if (droppedByField.size > 0) {
+        const summary = [...droppedByField].sort((a, b) => b[1] - a[1]).map(([field, count]) => `${field} (${count})`);
+        console.log(chalk.gray(`-> Valeurs invalides écartées : ${summary.join(', ')}`));
+    }
+    if (rejectedCount > 0) {
+        console.log(chalk.yellow(`🟡 ${rejectedCount} fiche(s) invalide(s) mise(s) en quarantaine (étape "${quarantine}").`));
+    }
     console.log("✅ Étape 2 terminée. Toutes les pages de détail ont été traitées.");
+    return scraped;
+}
+
+/**
+ * Étape 2b : Rapport de couverture des champs de l'étape "details".
+ * Compare le taux de remplissage de chaque champ à celui du run précédent (historique dans
+ * l'étape "coverage") pour détecter un changement de structure du site.
+ * La couverture porte sur les fiches scrapées pendant ce run (`options.records`) : mesurée sur toute
+ * l'étape, une refonte du site serait noyée dans les milliers de fiches des runs précédents. Lancée
+ * seule (`step coverage`), l'étape mesure les `window` dernières fiches sauvegardées.
+ * @param {string} sourceName - Le nom de la source (ex: 'frenchFab').
+ * @param {object} scraper - Le module scraper importé (lit `config.coverage`).
+ * @param {boolean} isTestMode - Indique si on est en mode test.
+ * @param {object} [options={}] - Options d'exécution.
+ * @param {number} [options.coverageThreshold] - Baisse tolérée (0.2 = 20 points) avant alerte.
+ * @param {boolean} [options.strictCoverage] - Arrête le pipeline en cas de baisse au lieu d'avertir.
+ * @param {string} [options.input='details'] - L'étape dont on mesure la couverture.
+ * @param {string} [options.output='coverage'] - L'étape qui conserve l'historique des rapports.
+ * @param {Array<object>} [options.records] - Les fiches scrapées pendant ce run.
+ */
+async function runCoverageStep(sourceName, scraper, isTestMode = false, options = {}) {
+    console.log(chalk.blue("\n--- DÉBUT ÉTAPE 2b: Couverture des champs scrapés ---"));
+    const maxDrop = options.coverageThreshold ?? scraper.config?.coverage?.maxDrop ?? DEFAULT_MAX_DROP;
+    const failOnDrop = options.strictCoverage ?? scraper.config?.coverage?.failOnDrop ?? false;
+    const historyStep = options.output ?? "coverage";
+    const history = await getStep(sourceName, historyStep, isTestMode);
+
+    const window = scraper.config?.coverage?.window ?? DEFAULT_COVERAGE_WINDOW;
+    const minRecords = scraper.config?.coverage?.minRecords ?? DEFAULT_MIN_RECORDS;
+    let details = options.records ?? [];
+    if (details.length < minRecords) {
+        // Trop peu de fiches dans ce run (reprise, petit lot) : on mesure les dernières fiches sauvegardées.
+        details = (await getStep(sourceName, options.input ?? "details", isTestMode)).slice(-window);
+    }
+    if (details.length < minRecords) {
+        // Les fiches du run en échec sont déjà sauvegardées : une simple relance ne doit pas passer.
+        const last = history.at(-1);
+        if (failOnDrop && last?.failed) {
+            throw new Error(`Le dernier rapport de couverture (${last.date}) est en échec : ${last.message} Corrigez le scraper puis relancez avec \`reset --from details\`.`);
+        }
+        console.log(chalk.yellow(`🟡 Seulement ${details.length} page(s) de détail (minimum : ${minRecords}), rapport de couverture ignoré.`));
+        return;
+    }
+
+    // Un rapport en échec n'est jamais la référence.
+    const previous = history.filter(report => !report.failed).at(-1);
+    const current = { date: new Date().toISOString(), ...computeFieldCoverage(details) };
+    const drops = findCoverageDrops(current, previous, maxDrop);
+    const droppedFields = new Set(drops.map(drop => drop.field));
+
+    for (const [field, rate] of Object.entries(current.fields).sort(([, a], [, b]) => b - a)) {
+        const previousRate = previous?.fields[field];
+        const trend = previousRate === undefined ? '' : chalk.gray(` (précédent : ${formatRate(previousRate)})`);
+        const color = droppedFields.has(field) ? chalk.red : rate < 0.5 ? chalk.yellow : chalk.green;
+        console.log(`   ${field.padEnd(20)} ${color(formatRate(rate).padStart(4))}${trend}`);
+    }
+
+    if (drops.length === 0) {
+        await appendStep(sourceName, historyStep, [current], isTestMode);
+        console.log(`✅ Étape 2b terminée. Couverture calculée sur ${current.total} pages.`);
+        return;
+    }
+
+    const summary = drops.map(drop => `${drop.field} ${formatRate(drop.previous)} → ${formatRate(drop.current)}`).join(', ');
+    const message = `Baisse anormale du taux de remplissage (> ${formatRate(maxDrop)}) : ${summary}. Les sélecteurs du scraper sont peut-être obsolètes.`;
+    if (failOnDrop) {
+        await appendStep(sourceName, historyStep, [{ ...current, failed: true, message }], isTestMode);
+        throw new Error(message);
+    }
+    await appendStep(sourceName, historyStep, [current], isTestMode);
+    console.log(chalk.bgRed.white.bold(`\n⚠️  ${message}\n`));
 }
 
 // On exporte les fonctions du pipeline pour les utiliser dans main.js
-export default { runGetListStep, runGetDetailsStep };
\ No newline at end of file
+export default { runGetListStep, runGetDetailsStep, runCoverageStep };
\ No newline at end of file
@@ -0,0 +1,231 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import cliProgress from 'cli-progress';
+import chalk from 'chalk';
+import { stringify } from 'csv-stringify/sync';
+import { getStep, setStep, appendStep, logError, runWithConcurrency, createHostRateLimiter } from './utils.js';
+import { resolveSchema, validateRecord, quarantineEntry } from './schema.js';
+import { fetchList, fetchDetails } from './browserScraper.js';
+import { addScraped } from './steps.js';
+
+/**
+ * Rafraîchissement incrémental d'une source déjà scrapée.
+ *
+ * La liste est récupérée à nouveau et comparée à la précédente, puis chaque page de détail
+ * déjà connue est rescrapée et comparée par hash de contenu. Seules les entreprises ajoutées,
+ * supprimées ou modifiées sont retirées des étapes suivantes (enrichissement, final...) : le
+ * pipeline normal, qui reprend là où il s'est arrêté, ne retraite donc que ce qui a changé.
+ */
+
+// Par défaut, une seule page de détail à la fois (comme l'étape "details").
+const DEFAULT_CONCURRENCY = 1;
+
+/**
+ * Sérialise un objet avec des clés triées, pour que le hash ne dépende pas de l'ordre des champs.
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Calcule le hash du contenu d'un élément de l'étape "details".
+ * @param {object} record - L'élément (nom, lien et détails).
+ * @returns {string}
+ */
+export function hashRecord(record) {
+    return crypto.createHash('sha1').update(stableStringify(record)).digest('hex');
+}
+
+/**
+ * Liste les champs dont la valeur diffère entre deux versions d'un élément.
+ * @returns {Array<string>}
+ */
+function changedFields(previous, current) {
+    const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    return [...fields].filter(field => stableStringify(previous[field]) !== stableStringify(current[field]));
+}
+
+// Clé d'un élément, quelle que soit l'étape : `lien` jusqu'aux détails, `scrap_lien` ensuite.
+const itemLink = (item) => item.lien ?? item.scrap_lien;
+
+/**
+ * Rescrape les pages de détail données avec le même pool de workers que l'étape "details",
+ * et les valide avec le schéma de la source.
+ * @returns {Promise<{results: Map<string, object>, rejected: Map<string, object>}>} - Les nouveaux détails
+ *   valides et les entrées de quarantaine des fiches rejetées, par lien (les échecs sont absents).
+ */
+async function rescrapeDetails(ctx, items) {
+    const { sourceName, scraper, isTestMode, options } = ctx;
+    const concurrency = options.concurrency ?? scraper.config?.concurrency ?? DEFAULT_CONCURRENCY;
+    const waitForHost = createHostRateLimiter(scraper.config?.hostDelayMs ?? 0);
+    const schema = resolveSchema(scraper);
+    const results = new Map();
+    const rejected = new Map();
+
+    const progressBar = new cliProgress.SingleBar({
+        format: '{bar} {percentage}% | {value}/{total} | {payload}'
+    }, cliProgress.Presets.shades_classic);
+    progressBar.start(items.length, 0, { payload: "Démarrage..." });
+
+    await runWithConcurrency(items, concurrency, async (item) => {
+        try {
+            await waitForHost(item.lien);
+            const detailedData = await fetchDetails(scraper, item.lien);
+            const completeData = { nom: item.nom, lien: item.lien, ...detailedData };
+            const { record, valid, reasons } = validateRecord(completeData, schema);
+            if (valid) {
+                results.set(item.lien, record);
+            } else {
+                rejected.set(item.lien, quarantineEntry(completeData, reasons));
+            }
+            progressBar.increment({ payload: valid ? chalk.cyan(item.nom) : chalk.yellow(`QUARANTAINE ${item.nom}`) });
+        } catch (error) {
+            progressBar.increment({ payload: chalk.red(`ERREUR sur ${item.nom}`) });
+            await logError(sourceName, 'refresh', error, { nom: item.nom, lien: item.lien }, isTestMode);
+        }
+    });
+
+    progressBar.stop();
+    return { results, rejected };
+}
+
+/**
+ * Écrit le changelog du rafraîchissement en CSV, à côté des autres exports.
+ */
+async function writeChangelogCsv(ctx, changelog) {
+    const rows = [
+        ...changelog.added.map(item => ({ type: 'ajout', ...item, champs: '' })),
+        ...changelog.removed.map(item => ({ type: 'suppression', ...item, champs: '' })),
+        ...changelog.updated.map(item => ({ type: 'modification', ...item, champs: item.champs.join(', ') }))
+    ].map(row => ({ date: changelog.date, ...row }));
+
+    const outputDir = ctx.options.out
+        ? path.resolve(process.cwd(), ctx.options.out)
+        : path.join(process.cwd(), 'data', ctx.isTestMode ? 'test' : ctx.sourceName);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const outputPath = path.join(outputDir, `changelog${ctx.isTestMode ? '.test' : ''}.csv`);
+    const csv = stringify(rows, {
+        header: true,
+        columns: [
+            { key: 'date', header: 'Date' },
+            { key: 'type', header: 'Changement' },
+            { key: 'nom', header: 'Nom' },
+            { key: 'lien', header: 'Lien' },
+            { key: 'champs', header: 'Champs modifiés' }
+        ]
+    });
+    await fs.writeFile(outputPath, csv, 'utf-8');
+    console.log(chalk.green(`✅ Fichier changelog.csv généré avec succès : ${outputPath}`));
+}
+
+/**
+ * Rafraîchit une source : nouvelle liste, détection des changements, invalidation des étapes suivantes.
+ * À lancer avant les étapes du pipeline, qui complètent ensuite ce qui a été invalidé.
+ * @param {object} ctx - Le contexte de la commande (`{sourceName, scraper, steps, isTestMode, options}`).
+ * @returns {Promise<{date: string, added: Array, removed: Array, updated: Array}>} - Le changelog.
+ */
+export async function refreshSource(ctx) {
+    const { sourceName, scraper, steps, isTestMode } = ctx;
+    console.log(chalk.blue("--- RAFRAÎCHISSEMENT : détection des changements ---"));
+
+    const listStep = steps.find(step => step.name === 'list');
+    const detailsStep = steps.find(step => step.name === 'details');
+    if (!listStep || !detailsStep) {
+        throw new Error("Le rafraîchissement nécessite les étapes \"list\" et \"details\" dans le pipeline de la source.");
+    }
+    const urlsStep = listStep.outputs[0];
+    const detailsStepName = detailsStep.outputs[0];
+    const quarantineStep = detailsStep.outputs[1] ?? 'quarantine';
+
+    // 1. Nouvelle liste, comparée à l'ancienne par lien.
+    const previousList = await getStep(sourceName, urlsStep, isTestMode);
+    console.log(`-> Récupération de la liste à jour pour ${sourceName}...`);
+    const newList = await fetchList(scraper, isTestMode);
+    if (newList.length === 0 && previousList.length > 0) {
+        // Une liste vide est bien plus souvent une panne du site qu'un annuaire vidé.
+        throw new Error("La nouvelle liste est vide : rafraîchissement annulé pour ne pas supprimer toutes les entreprises.");
+    }
+
+    const newLinks = new Set(newList.map(item => item.lien));
+    const previousLinks = new Set(previousList.map(item => item.lien));
+    const added = newList.filter(item => !previousLinks.has(item.lien));
+    const removed = previousList.filter(item => !newLinks.has(item.lien));
+    const kept = newList.filter(item => previousLinks.has(item.lien));
+    console.log(`-> Liste : ${chalk.green(`${added.length} ajout(s)`)}, ${chalk.red(`${removed.length} suppression(s)`)}, ${kept.length} déjà connue(s).`);
+
+    // 2. On rescrape les pages connues et les nouvelles, puis on compare par hash.
+    const previousDetails = new Map((await getStep(sourceName, detailsStepName, isTestMode)).map(item => [item.lien, item]));
+    console.log(`-> Vérification de ${kept.length + added.length} pages de détail...`);
+    const { results: freshDetails, rejected } = await rescrapeDetails(ctx, [...kept, ...added]);
+
+    const schema = resolveSchema(scraper);
+    const updated = [];
+    const details = [];
+    for (const item of newList) {
+        const previous = previousDetails.get(item.lien);
+        const fresh = freshDetails.get(item.lien);
+        if (fresh && previous) {
+            // Une fiche sauvegardée avant le schéma (ou un changement de schéma) est normalisée comme la nouvelle :
+            // seul un vrai changement sur le site compte.
+            const normalizedPrevious = validateRecord(previous, schema).record;
+            if (hashRecord(fresh) !== hashRecord(normalizedPrevious)) {
+                updated.push({ nom: item.nom, lien: item.lien, champs: changedFields(normalizedPrevious, fresh) });
+            }
+        }
+        // En cas d'échec du rescraping (ou de fiche rejetée), on garde l'ancienne version plutôt que de perdre l'entreprise.
+        const record = fresh ?? previous;
+        if (record) details.push(record);
+    }
+
+    // 3. Sauvegarde de la liste et des détails à jour. La quarantaine ne garde que les fiches
+    // toujours rejetées (ou non revérifiées) et encore présentes dans la liste.
+    await setStep(sourceName, urlsStep, newList, isTestMode);
+    await setStep(sourceName, detailsStepName, details, isTestMode);
+    addScraped(ctx, detailsStepName, [...freshDetails.values()]);
+    const previousQuarantine = await getStep(sourceName, quarantineStep, isTestMode);
+    const quarantine = [
+        ...previousQuarantine.filter(entry => newLinks.has(entry.lien) && !freshDetails.has(entry.lien) && !rejected.has(entry.lien)),
+        ...rejected.values()
+    ];
+    if (quarantine.length > 0 || previousQuarantine.length > 0) {
+        await setStep(sourceName, quarantineStep, quarantine, isTestMode);
+    }
+    if (rejected.size > 0) {
+        console.log(chalk.yellow(`🟡 ${rejected.size} fiche(s) invalide(s) mise(s) en quarantaine (étape "${quarantineStep}").`));
+    }
+
+    // 4. Invalidation des étapes suivantes pour tout ce qui a changé.
+    const invalidated = new Set([...added, ...removed, ...updated].map(item => item.lien));
+    const downstreamSteps = steps.slice(steps.indexOf(detailsStep) + 1).filter(step => !step.keepOnReset);
+    for (const step of downstreamSteps) {
+        for (const output of step.outputs) {
+            const items = await getStep(sourceName, output, isTestMode);
+            const remaining = items.filter(item => !invalidated.has(itemLink(item)));
+            if (remaining.length !== items.length) {
+                await setStep(sourceName, output, remaining, isTestMode);
+                console.log(`-> ${items.length - remaining.length} élément(s) à retraiter dans "${output}".`);
+            }
+        }
+    }
+
+    // 5. Changelog : historique dans l'étape "changelog" + CSV à côté des exports.
+    const changelog = {
+        date: new Date().toISOString(),
+        added: added.map(item => ({ nom: item.nom, lien: item.lien })),
+        removed: removed.map(item => ({ nom: item.nom, lien: item.lien })),
+        updated
+    };
+    await appendStep(sourceName, 'changelog', [changelog], isTestMode);
+    await writeChangelogCsv(ctx, changelog);
+
+    console.log(`✅ Rafraîchissement terminé : ${added.length} ajout(s), ${removed.length} suppression(s), ${updated.length} modification(s).`);
+    return changelog;
+}
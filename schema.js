@@ -0,0 +1,282 @@
+import { cleanIdentifier } from './sirene.js';
+
+/**
+ * Schéma des fiches renvoyées par `getDetails`.
+ *
+ * Chaque champ déclaré est validé et normalisé juste après le scraping (téléphones au format E.164,
+ * URLs canoniques, codes postaux à 5 chiffres, espaces superflus retirés) : les étapes suivantes
+ * reçoivent des données propres, et une fiche inutilisable part en quarantaine avec ses raisons
+ * au lieu de faire échouer l'enrichissement.
+ *
+ * Un champ se déclare par son type (`website: 'url'`) ou par un objet :
+ * - `type` : l'un des `FIELD_TYPES` (défaut : 'string') ;
+ * - `required` : la fiche est rejetée si le champ est vide ;
+ * - `onInvalid` : 'reject' (fiche en quarantaine) ou 'drop' (valeur vidée, la fiche est gardée).
+ *   Défaut : 'reject' pour un champ requis, 'drop' sinon ;
+ * - `items` (type 'array') : le schéma de chaque élément (ex: `{ type: 'object', fields: {...} }`) ;
+ * - `fields` (type 'object') : le schéma des sous-champs ;
+ * - `pattern` (type 'string') : une expression régulière que la valeur doit respecter ;
+ * - `countryCode` (type 'phone') : indicatif des numéros nationaux. Sans lui, les numéros nationaux français
+ *   sont convertis et les autres (numéros étrangers sans indicatif) gardés tels quels ; avec lui, un numéro
+ *   non convertible est invalide.
+ */
+
+// Indicatif appliqué aux numéros sans indicatif international ("01 23 45 67 89").
+const DEFAULT_COUNTRY_CODE = '33';
+
+// Paramètres de suivi retirés des URLs canoniques.
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+
+/**
+ * Valeur refusée par un type de champ. Le message est la raison affichée dans la quarantaine.
+ */
+class InvalidValueError extends Error {}
+
+const invalid = (reason) => {
+    throw new InvalidValueError(reason);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+
+const cleanText = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+/**
+ * Normalise une URL : schéma https ajouté si absent, hôte en minuscules, fragment et paramètres de suivi retirés.
+ * @param {string} value - L'URL brute (ex: 'www.Acme.fr/contact?utm_source=x').
+ * @returns {string|null} - L'URL canonique (ex: 'https://www.acme.fr/contact'), ou null si elle est invalide.
+ */
+export function canonicalUrl(value) {
+    const raw = String(value ?? '').replace(/\s/g, '');
+    if (!raw) return null;
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw.replace(/^\/+/, '')}`);
+    } catch {
+        return null;
+    }
+    // Des identifiants dans l'URL trahissent une autre valeur mal placée (ex: "mailto:contact@acme.fr").
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.') || url.username || url.password) return null;
+    url.hash = '';
+    for (const param of [...url.searchParams.keys()]) {
+        if (TRACKING_PARAMS.test(param)) url.searchParams.delete(param);
+    }
+    return url.href;
+}
+
+/**
+ * Normalise un numéro de téléphone au format E.164 ("01 23 45 67 89" → "+33123456789").
+ * @param {string|number} value - Le numéro brut.
+ * @param {string} [countryCode='33'] - L'indicatif des numéros nationaux (commençant par 0).
+ * @returns {string|null} - Le numéro E.164, ou null s'il est invalide.
+ */
+export function toE164(value, countryCode = DEFAULT_COUNTRY_CODE) {
+    // On ignore une éventuelle extension ("poste 12", "ext. 12") et le "(0)" des numéros internationaux.
+    const raw = String(value ?? '').split(/\b(?:poste|ext|x)\b/i)[0].replace(/\(0\)/g, '');
+    let digits = raw.replace(/\D/g, '');
+    const international = /^\D*\+/.test(raw) || digits.startsWith('00');
+    if (digits.startsWith('00')) digits = digits.slice(2);
+
+    if (!international) {
+        if (!/^0\d+$/.test(digits)) return null;
+        digits = countryCode + digits.slice(1);
+    }
+    // E.164 : 15 chiffres au plus, indicatif compris. Un numéro français fait toujours 11 chiffres.
+    if (digits.length < 8 || digits.length > 15) return null;
+    if (digits.startsWith('33') && !/^33[1-9]\d{8}$/.test(digits)) return null;
+    return `+${digits}`;
+}
+
+/**
+ * Types de champs : chacun renvoie la valeur normalisée, ou lève une `InvalidValueError` avec la raison.
+ * Les valeurs vides ne leur sont pas transmises.
+ */
+export const FIELD_TYPES = {
+    string(value, spec) {
+        if (typeof value === 'object') invalid('texte attendu');
+        const text = cleanText(value);
+        if (spec.pattern && !new RegExp(spec.pattern).test(text)) invalid(`format inattendu ("${text}")`);
+        return text;
+    },
+    url(value) {
+        return canonicalUrl(value) ?? invalid(`URL invalide ("${cleanText(value)}")`);
+    },
+    email(value) {
+        const email = cleanText(value).replace(/^mailto:/i, '').toLowerCase();
+        return EMAIL_PATTERN.test(email) ? email : invalid(`email invalide ("${email}")`);
+    },
+    phone(value, spec) {
+        const number = toE164(value, spec.countryCode);
+        if (number) return number;
+        // Sans indicatif déclaré, un numéro non reconnu peut être étranger : on le garde plutôt que de le perdre.
+        if (!spec.countryCode && String(value).replace(/\D/g, '').length >= 6) return cleanText(value);
+        return invalid(`téléphone invalide ("${cleanText(value)}")`);
+    },
+    postalCode(value) {
+        const digits = String(value).replace(/\s/g, '');
+        // Un code postal lu comme un nombre perd son zéro initial ("1000" pour "01000").
+        if (/^\d{4}$/.test(digits)) return `0${digits}`;
+        return /^\d{5}$/.test(digits) ? digits : invalid(`code postal invalide ("${cleanText(value)}")`);
+    },
+    siren(value) {
+        const siren = cleanIdentifier(value);
+        return /^\d{9}$/.test(siren) ? siren : invalid(`SIREN invalide ("${cleanText(value)}")`);
+    },
+    siret(value) {
+        const siret = cleanIdentifier(value);
+        return /^\d{14}$/.test(siret) ? siret : invalid(`SIRET invalide ("${cleanText(value)}")`);
+    },
+    number(value) {
+        const number = typeof value === 'number' ? value : Number(cleanText(value).replace(/\s/g, '').replace(',', '.'));
+        return Number.isFinite(number) ? number : invalid(`nombre invalide ("${cleanText(value)}")`);
+    },
+    integer(value, spec) {
+        const number = FIELD_TYPES.number(value, spec);
+        return Number.isInteger(number) ? number : invalid(`entier attendu ("${number}")`);
+    },
+    boolean(value) {
+        if (typeof value === 'boolean') return value;
+        const text = cleanText(value).toLowerCase();
+        if (['true', 'oui', '1', 'yes'].includes(text)) return true;
+        if (['false', 'non', '0', 'no'].includes(text)) return false;
+        return invalid(`booléen invalide ("${text}")`);
+    },
+    array(value, spec) {
+        if (!Array.isArray(value)) invalid('liste attendue');
+        if (!spec.items) return value.map(trimStrings);
+        // Un élément invalide est retiré de la liste, sans rejeter la fiche.
+        return value
+            .map(item => normalizeValue(item, spec.items, []))
+            .filter(item => !isEmpty(item));
+    },
+    object(value, spec) {
+        if (typeof value !== 'object' || Array.isArray(value)) invalid('objet attendu');
+        const errors = [];
+        const result = normalizeFields(value, spec.fields ?? {}, errors);
+        if (errors.some(error => error.rejected)) invalid(errors.map(error => error.reason).join(', '));
+        return result;
+    }
+};
+
+/**
+ * Schéma de base, appliqué à toutes les sources : les champs produits par la plupart des scrapers
+ * et lus par l'enrichissement. Le schéma déclaré par un scraper le complète ou le surcharge.
+ */
+export const BASE_SCHEMA = {
+    nom: { type: 'string', required: true },
+    lien: { type: 'string', required: true },
+    website: 'url',
+    email: 'email',
+    telephone: 'phone',
+    codePostal: 'postalCode',
+    siren: 'siren',
+    siret: 'siret',
+    contacts: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                prenom: 'string',
+                nom: 'string',
+                fonction: 'string',
+                email: 'email',
+                telephone: 'phone',
+                linkedin: 'url'
+            }
+        }
+    }
+};
+
+/**
+ * Construit le schéma d'une source : le schéma de base complété par celui du scraper.
+ * @param {object} scraper - Le module scraper (lit `scraper.schema`).
+ * @returns {object|null} - Le schéma, ou null si le scraper désactive la validation (`schema: false`).
+ */
+export function resolveSchema(scraper) {
+    if (scraper.schema === false) return null;
+    const schema = { ...BASE_SCHEMA, ...(scraper.schema ?? {}) };
+    for (const [field, spec] of Object.entries(schema)) {
+        const { type } = typeof spec === 'string' ? { type: spec } : spec;
+        if (type && !FIELD_TYPES[type]) {
+            throw new Error(`Schéma invalide : type "${type}" inconnu pour le champ "${field}" (disponibles : ${Object.keys(FIELD_TYPES).join(', ')}).`);
+        }
+    }
+    return schema;
+}
+
+// Retire les espaces superflus de toutes les chaînes d'une valeur (champs non déclarés dans le schéma).
+function trimStrings(value) {
+    if (typeof value === 'string') return value.trim();
+    if (Array.isArray(value)) return value.map(trimStrings);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, trimStrings(item)]));
+    }
+    return value;
+}
+
+/**
+ * Normalise une valeur selon la spécification de son champ.
+ * Les erreurs sont ajoutées à `errors` ; une valeur écartée devient null.
+ */
+function normalizeValue(value, rawSpec, errors, field = '') {
+    const spec = typeof rawSpec === 'string' ? { type: rawSpec } : rawSpec;
+    const rejectInvalid = (spec.onInvalid ?? (spec.required ? 'reject' : 'drop')) === 'reject';
+    const prefix = field ? `${field} : ` : '';
+
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (isEmpty(trimmed)) {
+        if (spec.required) errors.push({ field, reason: `${prefix}champ requis manquant`, rejected: true });
+        return trimmed ?? null;
+    }
+    try {
+        return FIELD_TYPES[spec.type ?? 'string'](trimmed, spec);
+    } catch (error) {
+        if (!(error instanceof InvalidValueError)) throw error;
+        errors.push({ field, reason: `${prefix}${error.message}`, rejected: rejectInvalid });
+        return null;
+    }
+}
+
+function normalizeFields(record, fields, errors) {
+    const result = {};
+    for (const [field, value] of Object.entries(record)) {
+        result[field] = fields[field] ? normalizeValue(value, fields[field], errors, field) : trimStrings(value);
+    }
+    // Un champ requis absent de la fiche est une erreur comme un champ vide.
+    for (const [field, spec] of Object.entries(fields)) {
+        if (!(field in record) && spec.required) {
+            errors.push({ field, reason: `${field} : champ requis manquant`, rejected: true });
+        }
+    }
+    return result;
+}
+
+/**
+ * Valide et normalise une fiche.
+ * @param {object} record - La fiche brute (nom, lien et détails).
+ * @param {object|null} schema - Le schéma (voir `resolveSchema`) ; null : chaînes seulement nettoyées.
+ * @returns {{record: object, valid: boolean, reasons: Array<string>, dropped: Array<{field: string, reason: string}>}}
+ *   La fiche normalisée, si elle est valide, les raisons du rejet et les valeurs invalides écartées.
+ */
+export function validateRecord(record, schema) {
+    if (!schema) return { record: trimStrings(record), valid: true, reasons: [], dropped: [] };
+    const errors = [];
+    const normalized = normalizeFields(record, schema, errors);
+    const rejected = errors.filter(error => error.rejected);
+    return {
+        record: normalized,
+        valid: rejected.length === 0,
+        reasons: rejected.map(error => error.reason),
+        dropped: errors.filter(error => !error.rejected).map(({ field, reason }) => ({ field, reason }))
+    };
+}
+
+/**
+ * Construit l'entrée de quarantaine d'une fiche rejetée.
+ * @returns {{date: string, nom: string, lien: string, raisons: Array<string>, fiche: object}}
+ */
+export function quarantineEntry(record, reasons) {
+    return { date: new Date().toISOString(), nom: record.nom, lien: record.lien, raisons: reasons, fiche: record };
+}
@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import YAML from 'yaml';
+import { createDeclarativeScraper } from './declarativeScraper.js';
+
+const SCRAPERS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'scrapers');
+
+// Extensions reconnues, par ordre de priorité : un module JS l'emporte sur une définition.
+const DEFINITION_PARSERS = {
+    '.json': (content) => JSON.parse(content),
+    '.yaml': (content) => YAML.parse(content),
+    '.yml': (content) => YAML.parse(content)
+};
+
+/**
+ * Erreur levée quand aucun scraper (module JS ou définition) n'existe pour une source.
+ */
+export class ScraperNotFoundError extends Error {
+    constructor(sourceName) {
+        super(`Aucun scraper trouvé pour la source "${sourceName}".`);
+        this.name = 'ScraperNotFoundError';
+        this.code = 'SCRAPER_NOT_FOUND';
+        this.sourceName = sourceName;
+    }
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Charge le scraper d'une source : `scrapers/<source>.js` s'il existe, sinon une définition
+ * déclarative `scrapers/<source>.json`, `.yaml` ou `.yml`.
+ * @param {string} sourceName - Le nom de la source (ex: 'frenchFab').
+ * @returns {Promise<object>} - Le scraper (`{getList, getDetails, config?, schema?}`).
+ */
+export async function loadScraper(sourceName) {
+    const modulePath = path.join(SCRAPERS_DIR, `${sourceName}.js`);
+    if (await fileExists(modulePath)) {
+        const scraperModule = await import(pathToFileURL(modulePath).href);
+        return scraperModule.default; // On récupère l'objet exporté par "export default"
+    }
+
+    for (const [extension, parse] of Object.entries(DEFINITION_PARSERS)) {
+        const definitionPath = path.join(SCRAPERS_DIR, `${sourceName}${extension}`);
+        if (await fileExists(definitionPath)) {
+            const definition = parse(await fs.readFile(definitionPath, 'utf-8'));
+            return createDeclarativeScraper(definition, sourceName);
+        }
+    }
+
+    throw new ScraperNotFoundError(sourceName);
+}
+
+/**
+ * Liste les sources disponibles dans le dossier /scrapers (modules JS et définitions déclaratives).
+ * @returns {Promise<Array<{name: string, type: string}>>} - Triées par nom.
+ */
+export async function listScrapers() {
+    const files = await fs.readdir(SCRAPERS_DIR);
+    const scrapers = new Map();
+
+    for (const file of files) {
+        const extension = path.extname(file);
+        const name = path.basename(file, extension);
+        if (extension === '.js') {
+            scrapers.set(name, { name, type: 'js' });
+        } else if (DEFINITION_PARSERS[extension] && !scrapers.has(name)) {
+            scrapers.set(name, { name, type: `déclaratif (${extension.slice(1)})` });
+        }
+    }
+    return [...scrapers.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import nodeFetch, { Response } from 'node-fetch';
+import chalk from 'chalk';
+import { setFetchImplementation } from './http.js';
+import { loadScraper } from './scraperLoader.js';
+import { isBrowserScraper } from './browserScraper.js';
+
+/**
+ * Banc de test des scrapers, entièrement hors ligne.
+ *
+ * Pour chaque source, `fixtures/<source>/` contient :
+ * - `responses/<clé>.json` : les réponses HTTP enregistrées (une par requête distincte) ;
+ * - `snapshot.json` : la sortie attendue de `getList` et de `getDetails` pour ces réponses.
+ *
+ * En mode normal, `fetch` est remplacé par un mock qui sert les réponses enregistrées et la sortie
+ * est comparée au snapshot champ par champ. En mode `record`, les vraies requêtes sont faites et
+ * les fixtures + le snapshot sont réécrits.
+ */
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const DEFAULT_DETAILS_LIMIT = 5; // Nombre de pages de détail enregistrées par source
+
+/**
+ * Calcule la clé d'une requête : méthode + URL + corps, pour distinguer les appels POST paginés.
+ */
+function requestKey(url, options = {}) {
+    const method = (options.method ?? 'GET').toUpperCase();
+    const body = options.body ? String(options.body) : '';
+    const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16);
+    return { method, body, hash };
+}
+
+function responsesDir(sourceName) {
+    return path.join(FIXTURES_DIR, sourceName, 'responses');
+}
+
+/**
+ * Mock de `fetch` qui enregistre chaque réponse réelle dans les fixtures de la source.
+ */
+function createRecordingFetch(sourceName) {
+    return async (url, options = {}) => {
+        const response = await nodeFetch(url, options);
+        const text = await response.text();
+        const { method, body, hash } = requestKey(String(url), options);
+
+        const fixture = {
+            request: { method, url: String(url), body },
+            status: response.status,
+            statusText: response.statusText,
+            headers: { 'content-type': response.headers.get('content-type') ?? '' },
+            body: text
+        };
+        await fs.mkdir(responsesDir(sourceName), { recursive: true });
+        await fs.writeFile(path.join(responsesDir(sourceName), `${hash}.json`), JSON.stringify(fixture, null, 2), 'utf-8');
+
+        return new Response(text, { status: fixture.status, statusText: fixture.statusText, headers: fixture.headers, url: String(url) });
+    };
+}
+
+/**
+ * Mock de `fetch` qui rejoue les fixtures de la source. Une requête sans fixture est une erreur :
+ * le test ne doit jamais sortir sur le réseau.
+ */
+function createReplayFetch(sourceName) {
+    return async (url, options = {}) => {
+        const { method, hash } = requestKey(String(url), options);
+        let fixture;
+        try {
+            fixture = JSON.parse(await fs.readFile(path.join(responsesDir(sourceName), `${hash}.json`), 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new Error(`Aucune fixture pour ${method} ${url} (relancer avec --record pour la capturer).`);
+        }
+        return new Response(fixture.body, { status: fixture.status, statusText: fixture.statusText, headers: fixture.headers, url: String(url) });
+    };
+}
+
+/**
+ * Compare deux objets champ par champ.
+ * @returns {Array<{field: string, expected: any, actual: any}>} - Les champs différents.
+ */
+function diffFields(expected = {}, actual = {}) {
+    const fields = new Set([...Object.keys(expected ?? {}), ...Object.keys(actual ?? {})]);
+    const diffs = [];
+    for (const field of fields) {
+        if (JSON.stringify(expected?.[field]) !== JSON.stringify(actual?.[field])) {
+            diffs.push({ field, expected: expected?.[field], actual: actual?.[field] });
+        }
+    }
+    return diffs;
+}
+
+/**
+ * Exécute getList (en mode test) puis getDetails sur les liens donnés.
+ * @returns {Promise<{list: Array, details: object}>}
+ */
+async function runScraper(scraper, detailLinks) {
+    const list = await scraper.getList(true);
+    const details = {};
+    for (const lien of detailLinks ?? list.slice(0, DEFAULT_DETAILS_LIMIT).map(item => item.lien)) {
+        try {
+            details[lien] = await scraper.getDetails(lien);
+        } catch (error) {
+            details[lien] = { erreur: error.message };
+        }
+    }
+    return { list, details };
+}
+
+/**
+ * Enregistre de nouvelles fixtures et un nouveau snapshot pour une source (nécessite le réseau).
+ */
+async function recordSource(sourceName, scraper) {
+    await fs.rm(path.join(FIXTURES_DIR, sourceName), { recursive: true, force: true });
+    setFetchImplementation(createRecordingFetch(sourceName));
+
+    const snapshot = await runScraper(scraper);
+    await fs.mkdir(path.join(FIXTURES_DIR, sourceName), { recursive: true });
+    await fs.writeFile(path.join(FIXTURES_DIR, sourceName, 'snapshot.json'), JSON.stringify(snapshot, null, 2), 'utf-8');
+
+    console.log(chalk.green(`✅ ${sourceName} : fixtures enregistrées (${snapshot.list.length} éléments de liste, ${Object.keys(snapshot.details).length} pages de détail).`));
+    return true;
+}
+
+/**
+ * Rejoue les fixtures d'une source et compare la sortie au snapshot.
+ * Une source sans snapshot échoue : rien ne vérifierait que son scraper parse encore les pages.
+ * @returns {Promise<boolean>} - true si identique, false si des différences ou pas de fixtures.
+ */
+async function verifySource(sourceName, scraper) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, sourceName, 'snapshot.json'), 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        console.log(chalk.red(`❌ ${sourceName} : aucune fixture (lancer avec --record pour en capturer).`));
+        return false;
+    }
+
+    setFetchImplementation(createReplayFetch(sourceName));
+    const output = await runScraper(scraper, Object.keys(snapshot.details));
+
+    const report = [];
+
+    // getList : on compare le nombre d'éléments, puis chaque élément (repéré par son lien).
+    if (output.list.length !== snapshot.list.length) {
+        report.push(`getList : ${snapshot.list.length} éléments attendus, ${output.list.length} obtenus`);
+    }
+    const actualByLink = new Map(output.list.map(item => [item.lien, item]));
+    for (const expectedItem of snapshot.list) {
+        const actualItem = actualByLink.get(expectedItem.lien);
+        if (!actualItem) {
+            report.push(`getList : élément manquant ${expectedItem.lien}`);
+            continue;
+        }
+        for (const diff of diffFields(expectedItem, actualItem)) {
+            report.push(`getList ${expectedItem.lien} › ${diff.field} : attendu ${JSON.stringify(diff.expected)}, obtenu ${JSON.stringify(diff.actual)}`);
+        }
+    }
+
+    // getDetails : différences champ par champ pour chaque page enregistrée.
+    for (const [lien, expectedDetails] of Object.entries(snapshot.details)) {
+        for (const diff of diffFields(expectedDetails, output.details[lien])) {
+            report.push(`getDetails ${lien} › ${diff.field} : attendu ${JSON.stringify(diff.expected)}, obtenu ${JSON.stringify(diff.actual)}`);
+        }
+    }
+
+    if (report.length === 0) {
+        console.log(chalk.green(`✅ ${sourceName} : sortie identique au snapshot.`));
+        return true;
+    }
+    console.log(chalk.red(`❌ ${sourceName} : ${report.length} différence(s) avec le snapshot :`));
+    report.forEach(line => console.log(chalk.red(`   - ${line}`)));
+    return false;
+}
+
+/**
+ * Lance le banc de test sur les sources données (toutes celles qui ont des fixtures si la liste est vide).
+ * @param {Array<string>} sourceNames - Les sources à tester.
+ * @param {object} [options={}]
+ * @param {boolean} [options.record=false] - Capture de nouvelles fixtures au lieu de comparer.
+ * @returns {Promise<boolean>} - true si aucune source n'a de différence. Un scraper en mode navigateur demandé
+ *   explicitement compte comme un échec : il n'a pas pu être testé.
+ */
+export async function runScraperTests(sourceNames, options = {}) {
+    let sources = sourceNames;
+    if (sources.length === 0) {
+        try {
+            sources = await fs.readdir(FIXTURES_DIR);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            sources = [];
+        }
+    }
+    if (sources.length === 0) {
+        console.log(chalk.yellow("🟡 Aucune source à tester : précisez une source, ou enregistrez des fixtures avec --record."));
+        return true;
+    }
+
+    let allPassed = true;
+    const previousFetch = setFetchImplementation();
+    try {
+        for (const sourceName of sources) {
+            console.log(chalk.blue(`\n--- ${options.record ? 'Enregistrement' : 'Test'} du scraper : ${sourceName} ---`));
+            try {
+                const scraper = await loadScraper(sourceName);
+                if (isBrowserScraper(scraper)) {
+                    // Les requêtes du navigateur ne passent pas par `http.js` : rien à enregistrer ni à rejouer.
+                    if (sourceNames.length > 0) {
+                        allPassed = false;
+                        console.log(chalk.red(`❌ ${sourceName} : scraper en mode navigateur, non testable hors ligne.`));
+                    } else {
+                        console.log(chalk.yellow(`🟡 ${sourceName} : scraper en mode navigateur, non testable hors ligne.`));
+                    }
+                    continue;
+                }
+                const passed = options.record
+                    ? await recordSource(sourceName, scraper)
+                    : await verifySource(sourceName, scraper);
+                if (!passed) allPassed = false;
+            } catch (error) {
+                allPassed = false;
+                console.log(chalk.red(`❌ ${sourceName} : ${error.message}`));
+            }
+        }
+    } finally {
+        setFetchImplementation(previousFetch);
+    }
+    return allPassed;
+}
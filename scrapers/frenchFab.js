@@ -1,4 +1,4 @@
-import fetch from 'node-fetch';
+import { fetchWithRetry } from '../http.js';
 import * as cheerio from 'cheerio';
 import chalk from 'chalk';
 
@@ -14,7 +14,7 @@ async function getList(isTestMode = false) {
     const directoryUrl = 'https://www.lafrenchfab.fr/annuaire/';
     const apiUrl = 'https://www.lafrenchfab.fr/ajax-call';
 
-    const initialResponse = await fetch(directoryUrl);
+    const initialResponse = await fetchWithRetry(directoryUrl);
     const pageHtml = await initialResponse.text();
     const match = pageHtml.match(/"goat":\s*"([a-f0-9]+)"/);
 
@@ -36,7 +36,7 @@ async function getList(isTestMode = false) {
         bodyParams.append('context', 'entreprise');
         excludedIds.forEach(id => bodyParams.append('excluded_posts[]', id));
 
-        const apiResponse = await fetch(apiUrl, {
+        const apiResponse = await fetchWithRetry(apiUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
@@ -85,10 +85,8 @@ async function getList(isTestMode = false) {
  * @returns {Promise<object>} - Un objet avec les détails de l'entreprise.
  */
 async function getDetails(lien) {
-    const response = await fetch(lien);
-    if (!response.ok) {
-        throw new Error(`Échec du chargement de la page ${lien} (statut: ${response.status})`);
-    }
+    // Lève une HttpError si la page reste inaccessible après les nouvelles tentatives.
+    const response = await fetchWithRetry(lien);
     const html = await response.text();
     const $ = cheerio.load(html);
 
@@ -119,5 +117,15 @@ async function getDetails(lien) {
     };
 }
 
+// Réglages propres à la source, lus par le pipeline.
+const config = {
+    concurrency: 4, // Pages de détail scrapées en parallèle
+    hostDelayMs: 250, // Délai minimum entre deux requêtes vers lafrenchfab.fr
+    sirene: {
+        // Cible historique de cette source : ETI et grosses PME (CA entre 10 M€ et 300 M€)
+        filters: { caMin: 10000000, caMax: 300000000 }
+    }
+};
+
 // On exporte les deux fonctions pour que le pipeline puisse les utiliser
-export default { getList, getDetails };
\ No newline at end of file
+export default { getList, getDetails, config };
\ No newline at end of file
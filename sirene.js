@@ -0,0 +1,273 @@
+import { fetchJson } from './http.js';
+import { selectBestMatch } from './matching.js';
+import { sectionOfDivision } from './naf.js';
+import constants from './constants.js';
+
+/**
+ * Recherche d'une entreprise dans l'API recherche-entreprises (SIRENE).
+ * Les filtres (CA, effectifs, NAF, zone géographique, entreprises actives) sont configurables
+ * par source et par run, et la recherche s'élargit progressivement tant qu'aucun candidat
+ * ne dépasse le seuil de confiance : SIRET → SIREN → nom + code postal → nom + département → nom seul.
+ * Les SIRET/SIREN fournis par le scraper ne sont utilisés que si leur clé de Luhn est valide.
+ */
+
+const SEARCH_URL = 'https://recherche-entreprises.api.gouv.fr/search';
+
+// Nombre maximum de résultats renvoyés par l'API pour une page.
+const RESULTS_PER_PAGE = 25;
+
+/**
+ * Filtres disponibles, avec leur type (utilisé pour lire les valeurs passées en ligne de commande).
+ * - `activeOnly` : uniquement les entreprises actives (défaut : `true`).
+ * - `caMin` / `caMax` : chiffre d'affaires, en euros.
+ * - `effectifs` : codes de tranche d'effectif salarié (ex: ['11', '12'], voir TRANCHES_EFFECTIFS).
+ * - `naf` : section NAF ('C') ou préfixes de code (division '25', groupe '28.1' ou code complet '28.11Z').
+ * - `regions` / `departements` : codes INSEE (ex: ['84'], ['69', '38']).
+ */
+export const SIRENE_FILTERS = {
+    activeOnly: 'boolean',
+    caMin: 'number',
+    caMax: 'number',
+    effectifs: 'list',
+    naf: 'list',
+    regions: 'list',
+    departements: 'list'
+};
+
+export const DEFAULT_SIRENE_FILTERS = { activeOnly: true };
+
+/**
+ * Lit la valeur d'un filtre passée en texte (ex: `--sirene-filter departements=69,38`).
+ * @param {string} name - Le nom du filtre.
+ * @param {string} value - La valeur brute.
+ * @returns {boolean|number|Array<string>}
+ */
+export function parseFilterValue(name, value) {
+    const type = SIRENE_FILTERS[name];
+    if (!type) {
+        throw new Error(`Filtre SIRENE inconnu : "${name}" (disponibles : ${Object.keys(SIRENE_FILTERS).join(', ')}).`);
+    }
+    if (type === 'boolean') {
+        if (!['true', 'false'].includes(value)) {
+            throw new Error(`Le filtre SIRENE "${name}" attend true ou false (reçu : "${value}").`);
+        }
+        return value === 'true';
+    }
+    if (type === 'number') {
+        const number = Number(value);
+        if (value === '' || Number.isNaN(number) || number < 0) {
+            throw new Error(`Le filtre SIRENE "${name}" attend un nombre positif (reçu : "${value}").`);
+        }
+        return number;
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Déduit le code du département d'un code postal (2A/2B pour la Corse, 3 chiffres pour l'outre-mer).
+ * @param {string} codePostal - Le code postal.
+ * @returns {string|null}
+ */
+export function departementFromPostalCode(codePostal) {
+    const code = String(codePostal ?? '').replace(/\s/g, '');
+    if (!/^\d{5}$/.test(code)) return null;
+    if (code.startsWith('97') || code.startsWith('98')) return code.slice(0, 3);
+    if (code.startsWith('20')) return Number(code) < 20200 ? '2A' : '2B';
+    return code.slice(0, 2);
+}
+
+// SIREN de La Poste : ses SIRET ne respectent pas la clé de Luhn mais une règle propre.
+const LA_POSTE_SIREN = '356000000';
+
+/**
+ * Retire les espaces, points et tirets d'un identifiant (ex: "123 456 789" → "123456789").
+ * @param {string|number} value - L'identifiant brut.
+ * @returns {string}
+ */
+export function cleanIdentifier(value) {
+    return String(value ?? '').replace(/[\s.-]/g, '');
+}
+
+function luhnIsValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        // On double un chiffre sur deux en partant de la droite.
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Vérifie un SIREN : 9 chiffres et clé de Luhn valide.
+ * @param {string|number} value - Le SIREN (espaces tolérés).
+ * @returns {boolean}
+ */
+export function isValidSiren(value) {
+    const siren = cleanIdentifier(value);
+    return /^\d{9}$/.test(siren) && luhnIsValid(siren);
+}
+
+/**
+ * Vérifie un SIRET : 14 chiffres, clé de Luhn valide (ou règle propre à La Poste).
+ * @param {string|number} value - Le SIRET (espaces tolérés).
+ * @returns {boolean}
+ */
+export function isValidSiret(value) {
+    const siret = cleanIdentifier(value);
+    if (!/^\d{14}$/.test(siret)) return false;
+    if (siret.startsWith(LA_POSTE_SIREN)) {
+        return [...siret].reduce((sum, digit) => sum + Number(digit), 0) % 5 === 0;
+    }
+    return luhnIsValid(siret);
+}
+
+/**
+ * Construit les paramètres de recherche communs à toutes les tentatives à partir des filtres.
+ */
+function filterParams(filters) {
+    const params = new URLSearchParams({ per_page: String(RESULTS_PER_PAGE) });
+    if (filters.activeOnly) params.set('etat_administratif', 'A');
+    if (filters.caMin !== undefined) params.set('ca_min', String(filters.caMin));
+    if (filters.caMax !== undefined) params.set('ca_max', String(filters.caMax));
+    if (filters.effectifs?.length) params.set('tranche_effectif_salarie', filters.effectifs.join(','));
+    if (filters.regions?.length) params.set('region', filters.regions.join(','));
+    if (filters.departements?.length) params.set('departement', filters.departements.join(','));
+    return params;
+}
+
+// L'API ne filtre pas par division NAF : on filtre les résultats par section ou préfixe de code.
+function matchesNaf(candidate, naf) {
+    if (!naf?.length) return true;
+    const code = candidate.activite_principale ?? '';
+    const section = sectionOfDivision(code.slice(0, 2));
+    return naf.some(prefix => (/^[A-Z]$/i.test(prefix) ? prefix.toUpperCase() === section : code.startsWith(prefix)));
+}
+
+/**
+ * Liste les recherches à tenter pour une entreprise, de la plus précise à la plus large.
+ * Les recherches exactes (`siret`, `siren`) portent le SIREN attendu dans `expectedSiren`.
+ * @returns {{strategies: Array<{strategy: string, params: object, expectedSiren?: string}>, invalid: Array<string>}}
+ */
+function searchStrategies(company) {
+    const strategies = [];
+    // Champs fournis par le scraper mais dont le format ou la clé de contrôle est invalide.
+    const invalid = [];
+
+    const siret = cleanIdentifier(company.siret);
+    if (siret) {
+        if (isValidSiret(siret)) {
+            strategies.push({ strategy: 'siret', params: { q: siret }, expectedSiren: siret.slice(0, 9) });
+        } else {
+            invalid.push('siret');
+        }
+    }
+    const siren = cleanIdentifier(company.siren);
+    if (siren) {
+        if (!isValidSiren(siren)) {
+            invalid.push('siren');
+        } else if (siren !== siret.slice(0, 9) || invalid.includes('siret')) {
+            strategies.push({ strategy: 'siren', params: { q: siren }, expectedSiren: siren });
+        }
+    }
+
+    if (company.nom) {
+        if (company.codePostal) {
+            strategies.push({ strategy: 'nom+code_postal', params: { q: company.nom, code_postal: company.codePostal } });
+        }
+        const departement = departementFromPostalCode(company.codePostal);
+        if (departement) {
+            strategies.push({ strategy: 'nom+departement', params: { q: company.nom, departement } });
+        }
+        strategies.push({ strategy: 'nom', params: { q: company.nom } });
+    }
+    return { strategies, invalid };
+}
+
+/**
+ * Libellé d'une nature juridique INSEE (ex: '5710' → 'SAS, société par actions simplifiée').
+ * À défaut du code exact, on utilise le libellé de sa catégorie (2 premiers chiffres).
+ * @param {string} code - La nature juridique sur 4 chiffres.
+ * @returns {string}
+ */
+export function legalFormLabel(code) {
+    if (!code) return '';
+    return constants.NATURES_JURIDIQUES[code] ?? constants.CATEGORIES_JURIDIQUES[String(code).slice(0, 2)] ?? '';
+}
+
+/**
+ * Met en forme l'historique financier renvoyé par l'API (`{ "2022": { ca, resultat_net } }`).
+ * @param {object} [finances] - Le champ `finances` d'un résultat.
+ * @returns {Array<{annee: number, ca: number|null, resultat_net: number|null}>} - Trié par année croissante.
+ */
+export function financeHistory(finances) {
+    return Object.entries(finances ?? {})
+        .map(([year, values]) => ({ annee: Number(year), ca: values?.ca ?? null, resultat_net: values?.resultat_net ?? null }))
+        .filter(entry => !Number.isNaN(entry.annee))
+        .sort((a, b) => a.annee - b.annee);
+}
+
+/**
+ * Croissance du CA entre les deux derniers exercices connus.
+ * @param {Array<{annee: number, ca: number|null}>} history - L'historique (voir `financeHistory`).
+ * @returns {{taux: number, periode: string}|null} - Le taux en % (arrondi à 0,1), ou null s'il manque un CA.
+ */
+export function revenueGrowth(history) {
+    const withRevenue = (history ?? []).filter(entry => typeof entry.ca === 'number');
+    if (withRevenue.length < 2) return null;
+    const [previous, latest] = withRevenue.slice(-2);
+    if (previous.ca === 0) return null;
+    const rate = ((latest.ca - previous.ca) / Math.abs(previous.ca)) * 100;
+    return { taux: Math.round(rate * 10) / 10, periode: `${previous.annee}-${latest.annee}` };
+}
+
+const sortByScore = (rejectedBySiren) => [...rejectedBySiren.values()].sort((a, b) => b.score - a.score);
+
+/**
+ * Cherche le meilleur candidat SIRENE pour une entreprise scrapée, en élargissant la recherche
+ * tant qu'aucun résultat n'atteint le seuil. Un SIRET ou SIREN valide donne une recherche exacte,
+ * retenue quel que soit le score du nom et sans appliquer les filtres (ils servent à trier les homonymes) ;
+ * la recherche par nom ne sert alors que de repli.
+ * @param {object} company - L'entreprise scrapée (`nom`, `codePostal`, `ville`, `website`, `siren`...).
+ * @param {object} [options={}]
+ * @param {object} [options.filters=DEFAULT_SIRENE_FILTERS] - Les filtres de recherche.
+ * @param {number} [options.threshold] - Score minimum pour retenir un candidat (voir `selectBestMatch`).
+ * @returns {Promise<{best: object|null, rejected: Array<object>, strategy: string|null, invalid: Array<string>}>} - Le
+ *   meilleur candidat, les candidats écartés, la recherche qui a abouti et les identifiants invalides ignorés.
+ */
+export async function searchCompany(company, options = {}) {
+    const filters = options.filters ?? DEFAULT_SIRENE_FILTERS;
+    const rejectedBySiren = new Map();
+    const { strategies, invalid } = searchStrategies(company);
+
+    for (const { strategy, params, expectedSiren } of strategies) {
+        // L'identifiant fourni par le scraper désigne déjà l'entreprise : les filtres ne la feraient que disparaître.
+        const query = expectedSiren ? new URLSearchParams({ per_page: String(RESULTS_PER_PAGE) }) : filterParams(filters);
+        for (const [key, value] of Object.entries(params)) {
+            // Un département imposé par les filtres l'emporte sur celui déduit du code postal.
+            if (key === 'departement' && query.has('departement')) continue;
+            query.set(key, value);
+        }
+
+        const rawData = await fetchJson(`${SEARCH_URL}?${query}`, { cache: 'sirene' });
+        // La recherche plein texte peut renvoyer d'autres entreprises : pour une recherche exacte, seul le SIREN attendu compte.
+        const candidates = (rawData.results ?? []).filter(candidate => (expectedSiren
+            ? candidate.siren === expectedSiren
+            : matchesNaf(candidate, filters.naf)));
+
+        const { best, rejected } = selectBestMatch(company, candidates, expectedSiren ? 0 : options.threshold);
+        for (const entry of rejected) {
+            if ((rejectedBySiren.get(entry.siren)?.score ?? -1) < entry.score) rejectedBySiren.set(entry.siren, entry);
+        }
+        if (best) {
+            rejectedBySiren.delete(best.candidate.siren);
+            return { best, rejected: sortByScore(rejectedBySiren), strategy, invalid };
+        }
+    }
+
+    return { best: null, rejected: sortByScore(rejectedBySiren), strategy: null, invalid };
+}
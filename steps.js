@@ -0,0 +1,214 @@
+import pipeline from './pipeline.js';
+import enrich from './enrich.js';
+import { ENRICHERS } from './enrichers/index.js';
+import { exportData } from './export.js';
+
+/**
+ * Graphe des étapes du pipeline.
+ *
+ * Une étape est un objet :
+ * - `name` : identifiant unique (utilisé par `step`, `reset --from`, `--skip`).
+ * - `inputs` : les étapes stockées qu'elle lit (ex: ['details']).
+ * - `outputs` : les étapes stockées qu'elle produit (ex: ['enriched']).
+ * - `run(ctx, step)` : exécute l'étape. `ctx` = `{sourceName, scraper, isTestMode, options, scraped}`,
+ *   `step` = la définition résolue (pour lire `step.inputs`, `step.outputs`, `step.options`).
+ * - `provider` (optionnel) : un fournisseur d'enrichissement (voir `enrichers/index.js`), exécuté par
+ *   `runEnrichment` si l'étape n'a pas de `run`.
+ * - `options` (optionnel) : options propres à l'étape, fusionnées avec celles de la CLI.
+ * - `keepOnReset` (optionnel) : ses sorties ne sont pas effacées par `reset` (ex: historique).
+ */
+
+// Options transmises aux fonctions d'étape : CLI < options de l'étape < entrées/sorties déclarées.
+function stepOptions(ctx, step) {
+    return { ...ctx.options, ...step.options, input: step.inputs[0], output: step.outputs[0] };
+}
+
+// Exécute le fournisseur d'enrichissement de l'étape, avec la section de `config` du scraper qui porte son nom.
+function runProvider(ctx, step) {
+    return enrich.runEnrichment(step.provider, ctx.sourceName, ctx.isTestMode, {
+        ...stepOptions(ctx, step),
+        config: ctx.scraper.config?.[step.provider.name]
+    });
+}
+
+/**
+ * Retient les fiches scrapées pendant ce run (`ctx.scraped[étape]`), mesurées par l'étape `coverage`.
+ * @param {object} ctx - Le contexte du run.
+ * @param {string} output - L'étape où les fiches ont été sauvegardées.
+ * @param {Array<object>} records - Les fiches scrapées.
+ */
+export function addScraped(ctx, output, records) {
+    ctx.scraped = { ...ctx.scraped, [output]: [...(ctx.scraped?.[output] ?? []), ...records] };
+}
+
+export const BUILTIN_STEPS = {
+    list: {
+        name: 'list',
+        inputs: [],
+        outputs: ['urls'],
+        run: (ctx, step) => pipeline.runGetListStep(ctx.sourceName, ctx.scraper, ctx.isTestMode, stepOptions(ctx, step))
+    },
+    details: {
+        name: 'details',
+        inputs: ['urls'],
+        outputs: ['details', 'quarantine'], // Fiches rejetées par le schéma de la source
+        run: async (ctx, step) => {
+            const scraped = await pipeline.runGetDetailsStep(ctx.sourceName, ctx.scraper, ctx.isTestMode, {
+                ...stepOptions(ctx, step),
+                quarantine: step.outputs[1]
+            });
+            addScraped(ctx, step.outputs[0], scraped);
+        }
+    },
+    coverage: {
+        name: 'coverage',
+        inputs: ['details'],
+        outputs: ['coverage'],
+        keepOnReset: true, // Historique des runs, utilisé comme référence
+        run: (ctx, step) => pipeline.runCoverageStep(ctx.sourceName, ctx.scraper, ctx.isTestMode, {
+            ...stepOptions(ctx, step),
+            records: ctx.scraped?.[step.inputs[0]]
+        })
+    },
+    sirene: {
+        name: 'sirene',
+        inputs: ['details'],
+        outputs: ['enriched'],
+        provider: ENRICHERS.sirene,
+        run: runProvider
+    },
+    passthrough: {
+        name: 'passthrough',
+        inputs: ['details'],
+        outputs: ['enriched'],
+        provider: ENRICHERS.passthrough,
+        run: runProvider
+    },
+    website: {
+        name: 'website',
+        inputs: ['enriched'],
+        outputs: ['crawled'],
+        provider: ENRICHERS.website,
+        run: runProvider
+    },
+    linkedin: {
+        name: 'linkedin',
+        inputs: ['enriched'],
+        outputs: ['final'],
+        provider: ENRICHERS.linkedin,
+        run: runProvider
+    },
+    csv: {
+        name: 'csv',
+        inputs: ['final'],
+        outputs: [],
+        run: (ctx, step) => exportData(ctx.sourceName, ctx.isTestMode, {
+            ...stepOptions(ctx, step),
+            outputDir: ctx.options.out,
+            columns: ctx.options.columns ?? ctx.scraper.config?.csv?.columns,
+            config: ctx.scraper.config?.export
+        })
+    }
+};
+
+// Le pipeline utilisé quand le scraper ne déclare pas ses propres étapes.
+// LinkedIn y lit les données complétées par le site web (`--skip website` le relie à "enriched").
+export const DEFAULT_PIPELINE = ['list', 'details', 'coverage', 'sirene', 'website', { name: 'linkedin', inputs: ['crawled'] }, 'csv'];
+
+/**
+ * Résout une entrée de pipeline en définition d'étape complète.
+ * - une chaîne désigne une étape intégrée ;
+ * - un objet avec `run` est une étape personnalisée ;
+ * - un objet avec `provider` (sans `run`) exécute ce fournisseur d'enrichissement ;
+ * - un objet sans `run` surcharge l'étape intégrée du même nom (ex: `{ name: 'linkedin', inputs: ['enriched'] }`).
+ */
+function resolveStep(entry) {
+    if (typeof entry === 'string') {
+        const builtin = BUILTIN_STEPS[entry];
+        if (!builtin) {
+            throw new Error(`Étape intégrée inconnue : "${entry}" (disponibles : ${Object.keys(BUILTIN_STEPS).join(', ')}).`);
+        }
+        return { ...builtin };
+    }
+
+    if (!entry?.name) {
+        throw new Error("Chaque étape personnalisée doit avoir un `name`.");
+    }
+    let base;
+    if (entry.run) {
+        base = { inputs: [], outputs: [] };
+    } else if (entry.provider && !BUILTIN_STEPS[entry.name]) {
+        base = { inputs: [], outputs: [], run: runProvider };
+    } else {
+        base = resolveStep(entry.name);
+    }
+    return { ...base, ...entry };
+}
+
+/**
+ * Vérifie que le graphe est cohérent : noms uniques, et chaque entrée produite par une étape précédente.
+ * @param {Array<object>} steps - Les étapes résolues, dans l'ordre d'exécution.
+ */
+export function validateSteps(steps) {
+    const names = new Set();
+    const available = new Set();
+
+    for (const step of steps) {
+        if (names.has(step.name)) {
+            throw new Error(`Étape "${step.name}" déclarée plusieurs fois dans le pipeline.`);
+        }
+        if (typeof step.run !== 'function') {
+            throw new Error(`L'étape "${step.name}" n'a pas de fonction \`run\`.`);
+        }
+        for (const input of step.inputs) {
+            if (!available.has(input)) {
+                throw new Error(`L'étape "${step.name}" lit "${input}", qui n'est produit par aucune étape précédente.`);
+            }
+        }
+        names.add(step.name);
+        step.outputs.forEach(output => available.add(output));
+    }
+}
+
+/**
+ * Retire des étapes du pipeline en reliant leurs consommateurs à leur propre entrée.
+ * Ex: sans "linkedin" (enriched → final), l'étape "csv" lit directement "enriched".
+ * @param {Array<object>} steps - Les étapes résolues.
+ * @param {Array<string>} names - Les noms des étapes à retirer.
+ * @returns {Array<object>}
+ */
+export function skipSteps(steps, names) {
+    let result = steps;
+    for (const name of names) {
+        const skipped = result.find(step => step.name === name);
+        if (!skipped) {
+            throw new Error(`Impossible d'ignorer l'étape "${name}" : elle ne fait pas partie du pipeline (${result.map(s => s.name).join(', ')}).`);
+        }
+        const rewire = (input) => (skipped.outputs.includes(input) && skipped.inputs[0] ? skipped.inputs[0] : input);
+        result = result
+            .filter(step => step !== skipped)
+            .map(step => ({ ...step, inputs: step.inputs.map(rewire) }));
+    }
+    return result;
+}
+
+/**
+ * Construit le pipeline d'une source.
+ * Le scraper peut exporter `steps` :
+ * - un tableau d'étapes (noms d'étapes intégrées, surcharges ou étapes personnalisées) ;
+ * - une fonction `(defaultSteps, { builtinSteps, skipSteps }) => steps` pour ajouter, retirer ou réordonner
+ *   (`skipSteps` retire une étape en reliant les suivantes à son entrée).
+ * @param {object} scraper - Le module scraper.
+ * @param {Array<string>} [skip=[]] - Les étapes à ignorer (ex: ['linkedin']).
+ * @returns {Array<object>} - Les étapes résolues et validées, dans l'ordre d'exécution.
+ */
+export function buildPipeline(scraper, skip = []) {
+    let entries = scraper.steps ?? DEFAULT_PIPELINE;
+    if (typeof entries === 'function') {
+        entries = entries(DEFAULT_PIPELINE.map(resolveStep), { builtinSteps: BUILTIN_STEPS, skipSteps });
+    }
+
+    const steps = skipSteps(entries.map(resolveStep), skip);
+    validateSteps(steps);
+    return steps;
+}
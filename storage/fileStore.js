@@ -0,0 +1,279 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+
+/**
+ * Stockage des étapes sous forme de fichiers JSONL (un objet JSON par ligne).
+ * - Les ajouts sont en append-only : leur coût ne dépend pas de la taille de l'étape.
+ * - Les réécritures complètes (compaction) passent par un fichier temporaire puis un `rename`
+ *   atomique : un crash en pleine écriture ne peut pas corrompre le checkpoint existant.
+ * - Les anciens checkpoints `.json` sont migrés automatiquement au premier accès.
+ */
+
+// File d'attente par fichier : deux écritures (ou une écriture et une lecture) ne s'entrelacent jamais.
+const fileQueues = new Map();
+
+function enqueue(filePath, task) {
+    const previous = fileQueues.get(filePath) ?? Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    fileQueues.set(filePath, next);
+    next.catch(() => {}).finally(() => {
+        if (fileQueues.get(filePath) === next) fileQueues.delete(filePath);
+    });
+    return next;
+}
+
+/**
+ * Calcule les chemins des fichiers d'une étape.
+ * @param {string} sourceName - Le nom de la source.
+ * @param {string} stepName - Le nom de l'étape.
+ * @param {boolean} [test=false] - Indique si on est en mode test.
+ * @returns {{jsonl: string, legacyJson: string}}
+ */
+export function getStepPaths(sourceName, stepName, test = false) {
+    const basePath = test
+        ? path.join(process.cwd(), 'data', 'test', `${sourceName}-${stepName}.test`)
+        : path.join(process.cwd(), 'data', sourceName, stepName);
+    return { jsonl: `${basePath}.jsonl`, legacyJson: `${basePath}.json` };
+}
+
+function toJsonl(items) {
+    return items.map(item => JSON.stringify(item)).join('\n') + (items.length > 0 ? '\n' : '');
+}
+
+async function writeAtomic(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, content, 'utf-8');
+    await fs.rename(tmpPath, filePath);
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * Récupère les éléments complets d'un tableau JSON tronqué (ancien checkpoint écrit en entier puis
+ * interrompu par un crash) : chaque objet ou tableau de premier niveau entièrement écrit est gardé.
+ * @param {string} content - Le contenu du fichier.
+ * @returns {Array} - Les éléments récupérés, dans l'ordre.
+ */
+function salvageJsonArray(content) {
+    const items = [];
+    const start = content.indexOf('[');
+    if (start === -1) return items;
+
+    let depth = 0;
+    let itemStart = -1;
+    let inString = false;
+    let escaped = false;
+    for (let i = start + 1; i < content.length; i++) {
+        const char = content[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            if (depth === 0) itemStart = i;
+            depth++;
+        } else if (char === '}' || char === ']') {
+            if (depth === 0) break; // Fin du tableau
+            depth--;
+            if (depth === 0) {
+                try {
+                    items.push(JSON.parse(content.slice(itemStart, i + 1)));
+                } catch (e) {
+                    // Élément illisible : ignoré comme une ligne JSONL tronquée.
+                }
+            }
+        }
+    }
+    return items;
+}
+
+/**
+ * Convertit un ancien checkpoint `<step>.json` (tableau complet) en `<step>.jsonl`.
+ * L'ancien fichier est conservé sous `<step>.json.bak`. Un fichier illisible (tronqué par un crash)
+ * n'empêche pas la reprise : ses éléments complets sont récupérés, il est renommé en `<step>.json.corrupt`
+ * et la migration est signalée. Sans cela, chaque lecture et chaque ajout échoueraient sur ce fichier.
+ */
+async function migrateLegacyJson({ jsonl, legacyJson }) {
+    if (await fileExists(jsonl) || !(await fileExists(legacyJson))) return;
+
+    const content = await fs.readFile(legacyJson, 'utf-8');
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        const items = salvageJsonArray(content);
+        await writeAtomic(jsonl, toJsonl(items));
+        await fs.rename(legacyJson, `${legacyJson}.corrupt`);
+        console.warn(chalk.bgRed.white.bold(`⚠️ Checkpoint illisible (${error.message}) : ${legacyJson} renommé en .corrupt, ${items.length} élément(s) récupéré(s) dans ${jsonl}.`));
+        return;
+    }
+
+    const items = Array.isArray(data) ? data : [data];
+    await writeAtomic(jsonl, toJsonl(items));
+    await fs.rename(legacyJson, `${legacyJson}.bak`);
+    console.log(chalk.gray(`-> Checkpoint migré vers JSONL : ${jsonl} (${items.length} éléments)`));
+}
+
+/**
+ * Lit toutes les lignes d'une étape. Une ligne illisible (ex: dernière ligne tronquée par un crash)
+ * est ignorée et le fichier est compacté pour la retirer avant les prochains ajouts.
+ * @returns {Promise<Array>} - Les éléments de l'étape, ou un tableau vide si elle n'existe pas.
+ */
+export function readStep(sourceName, stepName, test = false) {
+    const paths = getStepPaths(sourceName, stepName, test);
+
+    return enqueue(paths.jsonl, async () => {
+        await migrateLegacyJson(paths);
+
+        let content;
+        try {
+            content = await fs.readFile(paths.jsonl, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const items = [];
+        let invalidLines = 0;
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                items.push(JSON.parse(line));
+            } catch (e) {
+                invalidLines++;
+            }
+        }
+
+        if (invalidLines > 0) {
+            console.warn(chalk.yellow(`⚠️ ${invalidLines} ligne(s) illisible(s) ignorée(s) dans ${paths.jsonl}, compaction du fichier.`));
+            await writeAtomic(paths.jsonl, toJsonl(items));
+        }
+        return items;
+    });
+}
+
+/**
+ * Remplace tout le contenu d'une étape (compaction atomique).
+ * @param {Array} items - Les éléments à écrire.
+ */
+export function writeStep(sourceName, stepName, items, test = false) {
+    const paths = getStepPaths(sourceName, stepName, test);
+
+    return enqueue(paths.jsonl, async () => {
+        await migrateLegacyJson(paths);
+        await writeAtomic(paths.jsonl, toJsonl(items));
+    });
+}
+
+/**
+ * Ajoute des éléments à la fin d'une étape sans réécrire le fichier.
+ * @param {Array} items - Les éléments à ajouter.
+ */
+export function appendStep(sourceName, stepName, items, test = false) {
+    const paths = getStepPaths(sourceName, stepName, test);
+
+    return enqueue(paths.jsonl, async () => {
+        if (items.length === 0) return;
+        await migrateLegacyJson(paths);
+        await fs.mkdir(path.dirname(paths.jsonl), { recursive: true });
+        await fs.appendFile(paths.jsonl, toJsonl(items), 'utf-8');
+    });
+}
+
+/**
+ * Supprime toutes les données d'une étape (fichier JSONL et éventuel ancien `.json`).
+ */
+export function deleteStep(sourceName, stepName, test = false) {
+    const paths = getStepPaths(sourceName, stepName, test);
+
+    return enqueue(paths.jsonl, async () => {
+        await fs.rm(paths.jsonl, { force: true });
+        await fs.rm(paths.legacyJson, { force: true });
+    });
+}
+
+/**
+ * Ajoute une erreur au fichier de log de la source (`data/<source>/errors.log`).
+ * @param {string} sourceName - Le nom de la source.
+ * @param {{timestamp: string, step: string, message: string, stack: string, context: object}} entry - L'erreur à journaliser.
+ * @param {boolean} [test=false] - Indique si on est en mode test.
+ */
+export async function writeError(sourceName, entry, test = false) {
+    const logFilePath = test
+        ? path.join(process.cwd(), 'data', 'test', `errors-${sourceName}.log`)
+        : path.join(process.cwd(), 'data', sourceName, `errors.log`);
+
+    const contextString = Object.keys(entry.context).length > 0 ? ` | Contexte: ${JSON.stringify(entry.context)}` : '';
+
+    const logMessage = `
+--- ERROR ---
+Timestamp: ${entry.timestamp}
+Source: ${sourceName}
+Étape: ${entry.step}${contextString}
+Message: ${entry.message}
+Stack Trace:
+${entry.stack}
+`;
+
+    await fs.mkdir(path.dirname(logFilePath), { recursive: true });
+    await fs.appendFile(logFilePath, logMessage, 'utf-8');
+}
+
+/**
+ * Supprime les fichiers de données et de log du mode test pour une source.
+ * @param {string} sourceName - Le nom de la source.
+ */
+export async function clearTestData(sourceName) {
+    const testDir = path.join(process.cwd(), 'data', 'test');
+    try {
+        // Tente de lire le contenu du dossier. S'il n'existe pas, l'erreur est capturée.
+        const files = await fs.readdir(testDir);
+        const unlinkPromises = [];
+        for (const file of files) {
+            // Supprime les fichiers de données et de log de test
+            if ((file.startsWith(`${sourceName}-`) && /\.test\.jsonl?$/.test(file)) || file === `errors-${sourceName}.log`) {
+                unlinkPromises.push(fs.unlink(path.join(testDir, file)));
+            }
+        }
+        if (unlinkPromises.length > 0) {
+            await Promise.all(unlinkPromises);
+        }
+    } catch (err) {
+        // Si le dossier n'existe pas (ENOENT), on ignore l'erreur. Sinon, on l'affiche.
+        if (err.code !== 'ENOENT') {
+            console.error("❌ Erreur lors du nettoyage des fichiers de test:", err);
+        }
+    }
+}
+
+/**
+ * Crée le backend fichier (backend par défaut).
+ * @returns {object} - Un backend conforme à l'interface décrite dans storage/index.js.
+ */
+export function createFileStore() {
+    return {
+        name: 'file',
+        describe: (sourceName, stepName, test = false) => getStepPaths(sourceName, stepName, test).jsonl,
+        readStep,
+        writeStep,
+        appendStep,
+        deleteStep,
+        writeError,
+        clearTestData,
+        close: async () => {}
+    };
+}
@@ -0,0 +1,51 @@
+import { createFileStore } from './fileStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+/**
+ * Point d'entrée de la couche de stockage utilisée par getStep/setStep/appendStep/logError.
+ *
+ * Un backend est un objet qui expose :
+ * - `name` : identifiant du backend ('file', 'sqlite').
+ * - `readStep(sourceName, stepName, test)` → `Promise<Array>` : tous les éléments de l'étape.
+ * - `writeStep(sourceName, stepName, items, test)` : remplace le contenu de l'étape.
+ * - `appendStep(sourceName, stepName, items, test)` : ajoute des éléments en fin d'étape.
+ * - `deleteStep(sourceName, stepName, test)` : supprime toutes les données de l'étape.
+ * - `writeError(sourceName, entry, test)` : journalise une erreur `{timestamp, step, message, stack, context}`.
+ * - `clearTestData(sourceName)` : supprime les données et erreurs du mode test de la source.
+ * - `describe(sourceName, stepName, test)` → `string` : emplacement lisible, pour les messages.
+ * - `close()` : libère les ressources (connexion, fichiers).
+ */
+
+const BACKENDS = {
+    file: async () => createFileStore(),
+    sqlite: async (options) => createSqliteStore(options)
+};
+
+export const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+let activeStorage = createFileStore();
+
+/**
+ * Sélectionne le backend de stockage pour le reste de l'exécution.
+ * @param {object} [options={}]
+ * @param {string} [options.backend='file'] - 'file' ou 'sqlite'.
+ * @param {string} [options.path] - Chemin de la base pour le backend SQLite.
+ */
+export async function configureStorage(options = {}) {
+    const backendName = options.backend ?? 'file';
+    const createBackend = BACKENDS[backendName];
+    if (!createBackend) {
+        throw new Error(`Backend de stockage inconnu : "${backendName}" (disponibles : ${STORAGE_BACKENDS.join(', ')}).`);
+    }
+
+    await activeStorage.close();
+    activeStorage = await createBackend(options);
+    return activeStorage;
+}
+
+/**
+ * @returns {object} - Le backend de stockage actif.
+ */
+export function getStorage() {
+    return activeStorage;
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Backend SQLite : toutes les étapes de toutes les sources dans une seule base.
+ * Chaque élément est une ligne de `step_items` (JSON complet dans `data`), indexée par source/étape
+ * ainsi que par `lien` et `scrap_nom` pour pouvoir interroger les runs directement en SQL.
+ */
+
+export const DEFAULT_SQLITE_PATH = path.join('data', 'scraping.db');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS step_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    step TEXT NOT NULL,
+    test INTEGER NOT NULL DEFAULT 0,
+    lien TEXT,
+    scrap_nom TEXT,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX IF NOT EXISTS idx_step_items_step ON step_items (source, step, test);
+CREATE INDEX IF NOT EXISTS idx_step_items_lien ON step_items (lien);
+CREATE INDEX IF NOT EXISTS idx_step_items_scrap_nom ON step_items (scrap_nom);
+
+CREATE TABLE IF NOT EXISTS errors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    step TEXT NOT NULL,
+    test INTEGER NOT NULL DEFAULT 0,
+    timestamp TEXT NOT NULL,
+    message TEXT,
+    stack TEXT,
+    context TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_errors_source ON errors (source, step);
+`;
+
+/**
+ * Crée le backend SQLite.
+ * @param {object} [options={}]
+ * @param {string} [options.path] - Chemin du fichier de base (défaut : data/scraping.db).
+ * @returns {Promise<object>} - Un backend conforme à l'interface décrite dans storage/index.js.
+ */
+export async function createSqliteStore(options = {}) {
+    // Import à la demande : le module natif n'est chargé que si ce backend est choisi.
+    const { default: Database } = await import('better-sqlite3');
+
+    const dbPath = path.resolve(process.cwd(), options.path ?? DEFAULT_SQLITE_PATH);
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const selectItems = db.prepare('SELECT data FROM step_items WHERE source = ? AND step = ? AND test = ? ORDER BY id');
+    const deleteItems = db.prepare('DELETE FROM step_items WHERE source = ? AND step = ? AND test = ?');
+    const insertItem = db.prepare('INSERT INTO step_items (source, step, test, lien, scrap_nom, data) VALUES (?, ?, ?, ?, ?, ?)');
+    const deleteTestItems = db.prepare('DELETE FROM step_items WHERE source = ? AND test = 1');
+    const deleteTestErrors = db.prepare('DELETE FROM errors WHERE source = ? AND test = 1');
+    const insertError = db.prepare('INSERT INTO errors (source, step, test, timestamp, message, stack, context) VALUES (?, ?, ?, ?, ?, ?, ?)');
+
+    const insertMany = (sourceName, stepName, test, items) => {
+        for (const item of items) {
+            insertItem.run(
+                sourceName,
+                stepName,
+                test ? 1 : 0,
+                item?.lien ?? item?.scrap_lien ?? null,
+                item?.scrap_nom ?? item?.nom ?? null,
+                JSON.stringify(item)
+            );
+        }
+    };
+    const replaceStep = db.transaction((sourceName, stepName, test, items) => {
+        deleteItems.run(sourceName, stepName, test ? 1 : 0);
+        insertMany(sourceName, stepName, test, items);
+    });
+    const appendItems = db.transaction(insertMany);
+
+    return {
+        name: 'sqlite',
+        describe: (sourceName, stepName, test = false) => `${dbPath} (${sourceName}/${stepName}${test ? ', test' : ''})`,
+        async readStep(sourceName, stepName, test = false) {
+            return selectItems.all(sourceName, stepName, test ? 1 : 0).map(row => JSON.parse(row.data));
+        },
+        async writeStep(sourceName, stepName, items, test = false) {
+            replaceStep(sourceName, stepName, test, items);
+        },
+        async appendStep(sourceName, stepName, items, test = false) {
+            appendItems(sourceName, stepName, test, items);
+        },
+        async deleteStep(sourceName, stepName, test = false) {
+            deleteItems.run(sourceName, stepName, test ? 1 : 0);
+        },
+        async writeError(sourceName, entry, test = false) {
+            insertError.run(sourceName, entry.step, test ? 1 : 0, entry.timestamp, entry.message, entry.stack, JSON.stringify(entry.context));
+        },
+        async clearTestData(sourceName) {
+            db.transaction(() => {
+                deleteTestItems.run(sourceName);
+                deleteTestErrors.run(sourceName);
+            })();
+        },
+        async close() {
+            db.close();
+        }
+    };
+}
@@ -1,7 +1,4 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { stringify } from 'csv-stringify/sync';
-import chalk from 'chalk';
+import { getStorage } from './storage/index.js';
 
 /**
  * Lit et retourne les données d'une étape de scraping sauvegardée.
@@ -11,58 +8,50 @@ import chalk from 'chalk';
  * @returns {Promise<Array>} - Une promesse qui résout avec les données de l'étape, ou un tableau vide en cas d'erreur ou si le fichier n'existe pas.
  */
 export async function getStep(sourceName, stepName, test = false) {
-    let filePath;
-    if (test) {
-        filePath = path.join(process.cwd(), 'data', 'test', `${sourceName}-${stepName}.test.json`);
-    } else {
-        filePath = path.join(process.cwd(), 'data', sourceName, `${stepName}.json`);
-    }
-
     try {
-        // fs.access lève une erreur si le fichier n'existe pas, ce qui est géré par le catch.
-        await fs.access(filePath);
-        const fileContent = await fs.readFile(filePath, 'utf-8');
-        return JSON.parse(fileContent);
+        return await getStorage().readStep(sourceName, stepName, test);
     } catch (error) {
-        // Si le fichier n'existe pas (ENOENT), on retourne un tableau vide sans logger d'erreur.
-        if (error.code !== 'ENOENT') {
-            console.error(`❌ Erreur lors de la lecture ou du parsing du fichier ${filePath}:`, error);
-        }
+        console.error(`❌ Erreur lors de la lecture de l'étape "${stepName}" (${getStorage().describe(sourceName, stepName, test)}):`, error);
     }
 
     return [];
 }
 
 /**
- * Sauvegarde les données d'une étape de scraping dans un fichier JSON.
+ * Remplace toutes les données d'une étape de scraping (réécriture atomique).
+ * Pour sauvegarder au fil de l'eau, préférer `appendStep`.
  * @param {string} sourceName - Le nom de la source (ex: 'french_fab').
  * @param {string} stepName - Le nom de l'étape (ex: 'urls', 'details').
- * @param {object|Array} data - Les données à sauvegarder.
+ * @param {Array} data - Les données à sauvegarder.
  * @param {boolean} [test=false] - Indique si on est en phase de test (dataset réduits) ou non
  */
 export async function setStep(sourceName, stepName, data, test = false) {
-    let filePath;
-    if (test) {
-        filePath = path.join(process.cwd(), 'data', 'test', `${sourceName}-${stepName}.test.json`);
-    } else {
-        filePath = path.join(process.cwd(), 'data', sourceName, `${stepName}.json`);
+    try {
+        await getStorage().writeStep(sourceName, stepName, data, test);
+    } catch (error) {
+        console.error(`❌ Erreur lors de l'écriture de l'étape "${stepName}" (${getStorage().describe(sourceName, stepName, test)}):`, error);
     }
+}
 
+/**
+ * Ajoute des éléments à une étape sans réécrire les données existantes (append-only).
+ * Les appels concurrents sur une même étape sont sérialisés.
+ * @param {string} sourceName - Le nom de la source (ex: 'french_fab').
+ * @param {string} stepName - Le nom de l'étape (ex: 'details', 'enriched').
+ * @param {Array} items - Les éléments à ajouter.
+ * @param {boolean} [test=false] - Indique si on est en phase de test (dataset réduits) ou non
+ */
+export async function appendStep(sourceName, stepName, items, test = false) {
     try {
-        // S'assure que le dossier de destination existe.
-        const dir = path.dirname(filePath);
-        await fs.mkdir(dir, { recursive: true });
-
-        // On écrit les données dans un format lisible pour le débogage.
-        const jsonContent = JSON.stringify(data, null, 2);
-        await fs.writeFile(filePath, jsonContent, 'utf-8');
+        await getStorage().appendStep(sourceName, stepName, items, test);
     } catch (error) {
-        console.error(`❌ Erreur lors de l'écriture du fichier ${filePath}:`, error);
+        console.error(`❌ Erreur lors de l'ajout à l'étape "${stepName}" (${getStorage().describe(sourceName, stepName, test)}):`, error);
     }
 }
 
 /**
- * Centralise la journalisation des erreurs dans un fichier unique.
+ * Centralise la journalisation des erreurs via le backend de stockage actif
+ * (fichier `errors.log` par défaut, table `errors` avec SQLite).
  * @param {string} sourceName - Le nom de la source.
  * @param {string} stepName - Le nom de l'étape où l'erreur s'est produite.
  * @param {Error} error - L'objet d'erreur capturé.
@@ -70,33 +59,18 @@ export async function setStep(sourceName, stepName, data, test = false) {
  * @param {boolean} [isTestMode=false] - Indique si on est en mode test pour nommer le fichier de log.
  */
 export async function logError(sourceName, stepName, error, context = {}, isTestMode = false) {
-    let logFilePath;
-    if (isTestMode) {
-        logFilePath = path.join(process.cwd(), 'data', 'test', `errors-${sourceName}.log`);
-    } else {
-        logFilePath = path.join(process.cwd(), 'data', sourceName, `errors.log`);
-    }
-
-    const timestamp = new Date().toISOString();
-
-    const contextString = Object.keys(context).length > 0 ? ` | Contexte: ${JSON.stringify(context)}` : '';
-
-    const logMessage = `
---- ERROR ---
-Timestamp: ${timestamp}
-Source: ${sourceName}
-Étape: ${stepName}${contextString}
-Message: ${error.message}
-Stack Trace:
-${error.stack}
-`;
+    const entry = {
+        timestamp: new Date().toISOString(),
+        step: stepName,
+        message: error.message,
+        stack: error.stack,
+        context
+    };
 
     try {
-        const dir = path.dirname(logFilePath);
-        await fs.mkdir(dir, { recursive: true });
-        await fs.appendFile(logFilePath, logMessage, 'utf-8');
+        await getStorage().writeError(sourceName, entry, isTestMode);
     } catch (writeError) {
-        console.error(`❌ ERREUR CRITIQUE: Impossible d'écrire dans le fichier de log ${logFilePath}:`, writeError);
+        console.error(`❌ ERREUR CRITIQUE: Impossible de journaliser l'erreur (${getStorage().name}):`, writeError);
     }
 }
 
@@ -105,121 +79,48 @@ export function delay(ms) {
 }
 
 /**
- * Convertit les données du fichier final.json en deux fichiers CSV (entreprises et dirigeants).
- * @param {string} sourceName - Le nom de la source (ex: 'french_fab').
- * @param {boolean} [isTestMode=false] - Indique si on est en mode test.
+ * Exécute `worker` sur chaque élément en gardant au plus `concurrency` traitements simultanés.
+ * L'ordre de fin n'est pas garanti : le worker doit gérer lui-même ses erreurs et sa sauvegarde.
+ * @param {Array} items - Les éléments à traiter.
+ * @param {number} concurrency - Le nombre maximum de traitements en parallèle.
+ * @param {(item: any) => Promise<void>} worker - La fonction appliquée à chaque élément.
  */
-export async function convertToCsv(sourceName, isTestMode = false) {
-    console.log(chalk.blue("🔄 Conversion des données finales en CSV..."));
-
-    const finalData = await getStep(sourceName, 'final', isTestMode);
-    if (!finalData || finalData.length === 0) {
-        console.log(chalk.yellow("Aucune donnée finale à convertir."));
-        return;
-    }
-
-    // Définir le dossier de sortie en fonction du mode (test ou prod)
-    const outputDir = path.join(process.cwd(), 'data', isTestMode ? 'test' : sourceName);
-
-    // --- 1. Préparation des données pour les entreprises ---
-    const companiesData = finalData.map(company => ({
-        recordId: company.id ?? '',
-        nom: company.scrap_nom ?? '',
-        description: company.scrap_description ?? '',
-        domaine: company.domain ?? '',
-        website: company.scrap_website ?? '',
-        linkedin: company.linkedinUrl !== 'ERREUR' ? company.linkedinUrl : '',
-        telephone: company.scrap_telephone ?? '',
-        ville: company.scrap_ville ?? company.sirene_ville ?? '',
-        region: company.sirene_region ?? '',
-        siren: company.sirene_siren ?? '',
-        activite: company.sirene_activite ?? '',
-        ca: company.sirene_ca ?? '',
-        annee_ca: company.sirene_annee_ca ?? '',
-        effectifs: company.sirene_effectifs ?? '',
-        annee_effectifs: company.sirene_annee_effectifs ?? '',
-        sirene_region: company.sirene_region ?? '',
-        sirene_dep_code: company.siren_departement_code ?? '',
-        sirene_dep_nom: company.sirene_departement ?? '',
-        sirene_ville: company.sirene_ville ?? '',
-        sirene_adresse: company.sirene_adresse ?? '',
-        source: '' // Laissé vide comme demandé
-    }));
-
-    // --- 2. Préparation des données pour les dirigeants ---
-    let dirigeantIdCounter = 0;
-    const dirigeantsData = finalData.flatMap(company => {
-        if (!company.dirigeants || company.dirigeants.length === 0) {
-            return [];
+export async function runWithConcurrency(items, concurrency, worker) {
+    let nextIndex = 0;
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+
+    const runners = Array.from({ length: workerCount }, async () => {
+        while (nextIndex < items.length) {
+            const item = items[nextIndex++];
+            await worker(item);
         }
-        return company.dirigeants.map(dirigeant => ({
-            // Assure que chaque dirigeant a un ID, même ceux venant du scraper sans enrichissement SIRENE
-            id: dirigeant.id || `PER-${String(++dirigeantIdCounter).padStart(5, '0')}`,
-            prenom: dirigeant.prenom ?? '',
-            nom: dirigeant.nom ?? '',
-            fonction: (dirigeant.fonction === 'null' || !dirigeant.fonction) ? '' : dirigeant.fonction,
-            entreprise: dirigeant.entreprise || company.scrap_nom,
-            idEntreprise: dirigeant.idEntreprise || company.id || ''
-        }));
-    }
-    );
+    });
+    await Promise.all(runners);
+}
 
-    // --- 3. Génération du CSV des entreprises ---
-    try {
-        const csvEntreprises = stringify(companiesData, {
-            header: true,
-            columns: [
-                { key: 'recordId', header: 'Record ID Externe Entreprise' },
-                { key: 'nom', header: 'Nom de l\'entreprise' },
-                { key: 'description', header: 'Description' },
-                { key: 'domaine', header: 'Nom de domaine de l\'entreprise' },
-                { key: 'website', header: 'URL du site web' },
-                { key: 'linkedin', header: 'Page d\'entreprise LinkedIn' },
-                { key: 'telephone', header: 'Numéro de téléphone' },
-                { key: 'ville', header: 'Ville' },
-                { key: 'region', header: 'État/Région' },
-                { key: 'siren', header: 'SIREN' },
-                { key: 'activite', header: 'SIRENE - Division activité' },
-                { key: 'ca', header: 'SIRENE - CA unité légale' },
-                { key: 'annee_ca', header: 'SIRENE - Année CA unité légale' },
-                { key: 'effectifs', header: 'SIRENE - Tranche effectifs unité légale' },
-                { key: 'annee_effectifs', header: 'SIRENE - Année effectifs unité légales' },
-                { key: 'sirene_region', header: 'SIRENE - Région' },
-                { key: 'sirene_dep_code', header: 'SIRENE - Dep' },
-                { key: 'sirene_dep_nom', header: 'SIRENE - Département' },
-                { key: 'sirene_ville', header: 'SIRENE - Ville' },
-                { key: 'sirene_adresse', header: 'SIRENE - Adresse postale siège' },
-                { key: 'source', header: 'Source Scraping Entreprise' }
-            ]
-        });
-        const outputPath = path.join(outputDir, `entreprises${isTestMode ? '.test' : ''}.csv`);
-        await fs.writeFile(outputPath, csvEntreprises, 'utf-8');
-        console.log(chalk.green(`✅ Fichier entreprises.csv généré avec succès : ${outputPath}`));
-    } catch (error) {
-        console.error(chalk.red("❌ Erreur lors de la génération du CSV des entreprises:"), error);
-    }
+/**
+ * Crée un limiteur qui impose un délai minimum entre deux requêtes vers un même hôte,
+ * quel que soit le nombre de workers en parallèle.
+ * @param {number} minIntervalMs - Le délai minimum (en ms) entre deux requêtes sur un même hôte.
+ * @returns {(url: string) => Promise<void>} - Une fonction à attendre avant chaque requête.
+ */
+export function createHostRateLimiter(minIntervalMs) {
+    const nextSlotByHost = new Map();
 
-    // --- 4. Génération du CSV des dirigeants ---
-    if (dirigeantsData.length > 0) {
+    return async function waitForHost(url) {
+        if (!minIntervalMs) return;
+
+        let host;
         try {
-            const csvDirigeants = stringify(dirigeantsData, {
-                header: true,
-                columns: [
-                    { key: 'id', header: "ID" },
-                    { key: 'prenom', header: "Prénom" },
-                    { key: 'nom', header: "Nom" },
-                    { key: 'fonction', header: "Fonction" },
-                    { key: 'entreprise', header: "Entreprise" },
-                    { key: 'idEntreprise', header: "ID Entreprise" },
-                ]
-            });
-            const outputPath = path.join(outputDir, `dirigeants${isTestMode ? '.test' : ''}.csv`);
-            await fs.writeFile(outputPath, csvDirigeants, 'utf-8');
-            console.log(chalk.green(`✅ Fichier dirigeants.csv généré avec succès : ${outputPath}`));
-        } catch (error) {
-            console.error(chalk.red("❌ Erreur lors de la génération du CSV des dirigeants:"), error);
+            host = new URL(url).host;
+        } catch (e) {
+            host = url;
         }
-    } else {
-        console.log(chalk.yellow("🟡 Aucun dirigeant trouvé, le fichier dirigeants.csv n'a pas été créé."));
-    }
-}
\ No newline at end of file
+
+        // On réserve le créneau de manière synchrone pour que deux workers ne prennent pas le même.
+        const now = Date.now();
+        const slot = Math.max(now, nextSlotByHost.get(host) ?? 0);
+        nextSlotByHost.set(host, slot + minIntervalMs);
+        await delay(slot - now);
+    };
+}